@@ -0,0 +1,70 @@
+// Structured ingest bookkeeping: every row read is either accepted or rejected for exactly one reason;
+// accepted trips may additionally carry outlier flags (counted, but still shown). With load-time
+// sampling, sampledOut counts accepted trips that were dropped by the sampler (not loaded); with a load time
+// range, outOfRange counts accepted trips picked up outside it (not loaded, never sampled).
+
+export const REJECT_REASONS = {
+  invalid_pickup_time: 'Invalid pickup time',
+  invalid_dropoff_time: 'Invalid dropoff time',
+  non_positive_duration: 'Dropoff not after pickup',
+  unknown_zone: 'Zone without geometry',
+  non_finite_coordinates: 'Missing / non-numeric coordinates',
+  zero_coordinates: 'Zero coordinates',
+  outside_bounds: 'Outside the map area',
+  malformed_row: 'Malformed CSV row',
+  parse_error: 'Row transform error'
+};
+
+export const OUTLIER_FLAGS = {
+  negative_fare: 'Negative fare',
+  implausible_speed: 'Implied speed > 100 mph'
+};
+
+// Implied straight-line speeds above this are not physically plausible for a taxi in NYC
+export const MAX_PLAUSIBLE_MPH = 100;
+
+export function createIngestReport(source = '') {
+  return { source, fleet: null, rowsRead: 0, accepted: 0, rejected: 0, sampledOut: 0, outOfRange: 0, rejectReasons: {}, outliers: {} };
+}
+
+export function countReject(report, reason) {
+  report.rejected++;
+  report.rejectReasons[reason] = (report.rejectReasons[reason] || 0) + 1;
+}
+
+export function countOutlier(report, flag, n = 1) {
+  report.outliers[flag] = (report.outliers[flag] || 0) + n;
+}
+
+// Sum several per-source reports into one { ...totals, sources: [...] } report
+export function mergeIngestReports(reports) {
+  const total = createIngestReport('all');
+  delete total.fleet;
+  for (const r of reports) {
+    total.rowsRead += r.rowsRead;
+    total.accepted += r.accepted;
+    total.rejected += r.rejected;
+    total.sampledOut += r.sampledOut || 0;
+    total.outOfRange += r.outOfRange || 0;
+    for (const k in r.rejectReasons) total.rejectReasons[k] = (total.rejectReasons[k] || 0) + r.rejectReasons[k];
+    for (const k in r.outliers) total.outliers[k] = (total.outliers[k] || 0) + r.outliers[k];
+  }
+  total.sources = reports;
+  return total;
+}
+
+// Fraction of accepted trips inside the time range that were loaded (1 without sampling)
+export function sampleRatio(report) {
+  const inRange = report ? report.accepted - (report.outOfRange || 0) : 0;
+  if (!inRange) return 1;
+  return (inRange - (report.sampledOut || 0)) / inRange;
+}
+
+// Great-circle distance in miles
+export function haversineMiles(lon1, lat1, lon2, lat2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 3958.8 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
@@ -1,55 +1,248 @@
-import Papa from 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm';
-import { project } from '../utils/projection.js';
+import { project, NYC_BOUNDS } from '../utils/projection.js';
+import { parseNYLocal, nyMidnight } from '../utils/nyTime.js';
+import { randomPointInZone, TAXI_ZONES_URL, TAXI_ZONE_LOOKUP_URL, TAXI_ZONES_PUBLIC_URL, TAXI_ZONE_LOOKUP_PUBLIC_URL } from './taxiZones.js';
+import { normalizePayment } from './schemas.js';
+import { tripCacheKey, getCachedTrips, putCachedTrips } from './tripCache.js';
+import { createIngestReport, countReject, countOutlier, mergeIngestReports, haversineMiles, MAX_PLAUSIBLE_MPH } from './ingestReport.js';
 
-// Load and parse CSV of taxi trips. Returns array of cleaned trip objects.
-export async function loadTrips(url = 'src/geo/subset.csv') {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error('Failed to fetch CSV');
-  const text = await res.text();
-  const parsed = Papa.parse(text, { header: true, dynamicTyping: true, skipEmptyLines: true });
-
-  const dayStart = (date) => {
-    const d = new Date(date);
-    d.setHours(0,0,0,0);
-    return d;
+// Default seed for placing zone-based endpoints; same seed + same file => same positions.
+export const ZONE_SEED = 20160701;
+
+// Resolve pickup/dropoff lon/lat for a row. In zone mode ctx carries the zone index (see
+// loadTaxiZones) and a seeded rng; each endpoint lands at a random point inside its zone.
+function rowEndpoints(row, ctx) {
+  const c = ctx.schema.cols;
+  if (ctx.mode === 'zones') {
+    const pu = ctx.zones.get(Number(row[c.puZone]));
+    const dz = ctx.zones.get(Number(row[c.doZone]));
+    const p = randomPointInZone(pu, ctx.rng);
+    const d = randomPointInZone(dz, ctx.rng);
+    if (!p || !d) return { reject: 'unknown_zone' };
+    return { plon: p[0], plat: p[1], dlon: d[0], dlat: d[1], pickupZone: pu, dropoffZone: dz };
+  }
+  return {
+    plon: parseFloat(row[c.plon]),
+    plat: parseFloat(row[c.plat]),
+    dlon: parseFloat(row[c.dlon]),
+    dlat: parseFloat(row[c.dlat])
   };
+}
 
-  const trips = [];
-  for (const row of parsed.data) {
+const inBounds = (lon, lat) => lon >= NYC_BOUNDS.minLon && lon <= NYC_BOUNDS.maxLon && lat >= NYC_BOUNDS.minLat && lat <= NYC_BOUNDS.maxLat;
+
+// Convert one parsed row into a trip object (or null if the row is unusable).
+// Shared by the ingest worker; kept free of DOM access so it runs off the main thread.
+// ctx: { schema (see detectSchema), mode: 'coords' | 'zones', zones, rng } (zones/rng only in zone mode).
+// report (optional, see createIngestReport) receives the accept/reject reason and outlier flags.
+export function parseTripRow(row, ctx, report = createIngestReport()) {
+  const reject = (reason) => { countReject(report, reason); return null; };
+  try {
+    const c = ctx.schema.cols;
+    // Timestamps are New York wall-clock times whatever the viewer's timezone
+    const pickupMs = parseNYLocal(row[c.pickup]);
+    const dropoffMs = parseNYLocal(row[c.dropoff]);
+    if (isNaN(pickupMs)) return reject('invalid_pickup_time');
+    if (isNaN(dropoffMs)) return reject('invalid_dropoff_time');
+    // Elapsed seconds since New York midnight (a 23h/25h DST day still counts real seconds)
+    const startOfDay = nyMidnight(pickupMs);
+    const pickupSec = (pickupMs - startOfDay) / 1000;
+    const dropoffSec = (dropoffMs - startOfDay) / 1000;
+    if (dropoffSec <= pickupSec) return reject('non_positive_duration');
+    const ends = rowEndpoints(row, ctx);
+    if (ends.reject) return reject(ends.reject);
+    const { plon, plat, dlon, dlat } = ends;
+    if (!isFinite(plon) || !isFinite(plat) || !isFinite(dlon) || !isFinite(dlat)) return reject('non_finite_coordinates');
+    // Unrecorded positions come as zeros; they and anything off the map would be drawn far from the city
+    if (!plon || !plat || !dlon || !dlat) return reject('zero_coordinates');
+    if (!inBounds(plon, plat) || !inBounds(dlon, dlat)) return reject('outside_bounds');
+
+    const startPos = { ...project(plon, plat, 220), lon: plon, lat: plat };
+    const endPos = { ...project(dlon, dlat, 220), lon: dlon, lat: dlat };
+
+    const trip = {
+      // id will be assigned on arrival in the main thread
+      startTime: pickupSec,
+      endTime: dropoffSec,
+      startPos,
+      endPos,
+      // NaN when the layout has no such column (FHV), so it never reads as a real $0 fare / empty car
+      fare: c.fare ? Number(row[c.fare]) || 0 : NaN,
+      passengers: c.passengers ? Number(row[c.passengers]) || 0 : NaN,
+      vendor: (c.vendor && row[c.vendor]) || 0,
+      fleet: ctx.schema.fleet,
+      // Miles / dollars; NaN (null for payment) when the layout has no such column
+      distance: c.distance ? Number(row[c.distance]) : NaN,
+      tip: c.tip ? Number(row[c.tip]) : NaN,
+      payment: c.payment ? normalizePayment(row[c.payment]) : null,
+      pickupDate: new Date(pickupMs),
+      pickupTimestamp: pickupMs
+    };
+    if (ends.pickupZone) {
+      trip.pickupZone = ends.pickupZone.zone;
+      trip.dropoffZone = ends.dropoffZone.zone;
+    }
+    // Outliers are kept but counted so the report shows how much of the file is suspect
+    if (trip.fare < 0) countOutlier(report, 'negative_fare');
+    const hours = (dropoffSec - pickupSec) / 3600;
+    if (haversineMiles(plon, plat, dlon, dlat) / hours > MAX_PLAUSIBLE_MPH) countOutlier(report, 'implausible_speed');
+    report.accepted++;
+    return trip;
+  } catch (e) {
+    return reject('parse_error');
+  }
+}
+
+// Stream and parse a trip file (CSV, Parquet or .nyct; a URL or a local File) in a Web Worker. Trips arrive
+// in batches (each sorted by pickup time) through onBatch(trips) as soon as a chunk is parsed;
+// onProgress(loaded, total) reports bytes read (total is 0 when the server sends no Content-Length).
+// Resolves with the number of trips delivered; aborting `signal` stops the worker and rejects.
+// format: 'auto' (extension / magic bytes) | 'csv' | 'parquet' | 'nyct' (binary trip cache, see tripCache.js).
+// timeRange: [fromMs, toMs) epoch ms pickup window (either end may be infinite); CSV / Parquet trips outside
+// it are dropped (report.outOfRange) and Parquet row groups entirely outside it are not read.
+// locationMode: 'auto' (from the detected schema) | 'coords' | 'zones'; zoneSeed fixes zone placement.
+// onReport(report) delivers the running ingest report (see ingestReport.js) after each batch and at the end.
+// onSchema({ fleet, locationMode }) fires once the header has been recognised; ids comes from
+// createIdSource() so several files streamed together never share a trip id.
+// sample: { mode: 'uniform' | 'hour', rate, seed } downsamples accepted trips in the worker (see sampling.js).
+// source may also be an encoded .nyct ArrayBuffer (format 'nyct'); it is transferred to the worker.
+// onEncoded(buffer), when given, receives the accepted trips encoded as .nyct by the worker before it finishes.
+export function streamTrips(source = 'src/geo/subset.csv', { onBatch, onProgress, onSchema, onReport, onEncoded, signal, ids = createIdSource(), batchSize = 20000, format = 'auto', timeRange = null, locationMode = 'auto', zoneSeed = ZONE_SEED, sample = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) { reject(new DOMException('Trip load aborted', 'AbortError')); return; }
+    const worker = new Worker(new URL('./tripWorker.js', import.meta.url), { type: 'module' });
+    let delivered = 0;
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        worker.terminate();
+        reject(new DOMException('Trip load aborted', 'AbortError'));
+      }, { once: true });
+    }
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'batch') {
+        for (const trip of msg.trips) trip.id = ids();
+        delivered += msg.trips.length;
+        if (onBatch) onBatch(msg.trips);
+      } else if (msg.type === 'report') {
+        if (onReport) onReport(msg.report);
+      } else if (msg.type === 'schema') {
+        if (onSchema) onSchema({ fleet: msg.fleet, locationMode: msg.locationMode });
+      } else if (msg.type === 'progress') {
+        if (onProgress) onProgress(msg.loaded, msg.total);
+      } else if (msg.type === 'encoded') {
+        onEncoded(msg.buffer);
+      } else if (msg.type === 'done') {
+        worker.terminate();
+        resolve(delivered);
+      } else if (msg.type === 'error') {
+        worker.terminate();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Trip worker failed'));
+    };
+    // Resolve relative to the page; the worker's own base URL is src/data/
+    const abs = (u) => new URL(u, document.baseURI).href;
+    worker.postMessage({
+      type: 'load',
+      // Files are structured-cloned into the worker; URLs are made absolute
+      source: typeof source === 'string' ? abs(source) : source,
+      encode: !!onEncoded,
+      batchSize,
+      format,
+      timeRange,
+      locationMode,
+      zoneSeed,
+      sample,
+      // Zone reference data: the local copy, else its public source (see taxiZones.js)
+      zonesUrls: [abs(TAXI_ZONES_URL), TAXI_ZONES_PUBLIC_URL],
+      zoneLookupUrls: [abs(TAXI_ZONE_LOOKUP_URL), TAXI_ZONE_LOOKUP_PUBLIC_URL]
+    }, source instanceof ArrayBuffer ? [source] : []);
+  });
+}
+
+// Combine .nyct buffers (e.g. one per source) into one file in a worker; meta as for encodeTrips.
+// The buffers are copied, not transferred.
+export function mergeTripBuffers(buffers, meta) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./tripWorker.js', import.meta.url), { type: 'module' });
+    let merged = null;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'encoded') merged = msg.buffer;
+      else if (msg.type === 'done') { worker.terminate(); resolve(merged); }
+      else if (msg.type === 'error') { worker.terminate(); reject(new Error(msg.message)); }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Trip worker failed'));
+    };
+    worker.postMessage({ type: 'merge', buffers, meta });
+  });
+}
+
+// Monotonic trip id generator shared between concurrent streams
+export function createIdSource(first = 1) {
+  let next = first;
+  return () => next++;
+}
+
+// Display name for a trip source (URL string or File)
+export function sourceName(source) {
+  return typeof source === 'string' ? source.split('/').pop() : source.name;
+}
+
+// Stream several files (any mix of fleets / formats / URLs and local Files) onto one timeline. Batches
+// from all sources go through the same onBatch; onProgress reports combined bytes. Per-source failures
+// are collected rather than aborting the others. onReport(merged) receives the combined ingest report
+// (per-source reports under .sources). Resolves with [{ source, fleet, trips, error, report, cached, buffer }]:
+// buffer is the source's trips encoded as .nyct by its worker.
+// cache: null, or a variant string (see tripCacheKey) under which each CSV / Parquet source's trips are read
+// from and written to the IndexedDB trip cache; a hit streams the stored buffer instead of the file.
+export async function streamTripSources(sources, { onBatch, onProgress, onReport, cache = null, ...opts } = {}) {
+  const ids = createIdSource();
+  const reports = sources.map(s => createIngestReport(sourceName(s)));
+  const loaded = sources.map(() => 0);
+  const totals = sources.map(() => 0);
+  const report = () => {
+    if (!onProgress) return;
+    // Only a meaningful percentage when every source reported a size
+    const known = totals.every(t => t > 0);
+    onProgress(loaded.reduce((a,b) => a + b, 0), known ? totals.reduce((a,b) => a + b, 0) : 0);
+  };
+  return Promise.all(sources.map(async (source, i) => {
+    const result = { source, fleet: null, trips: 0, error: null, report: reports[i], cached: false, buffer: null };
+    const key = cache !== null && !/\.nyct$/i.test(sourceName(source)) ? tripCacheKey([source], cache) : null;
     try {
-      const pickupTS = new Date(row.tpep_pickup_datetime);
-      const dropoffTS = new Date(row.tpep_dropoff_datetime);
-      if (!(pickupTS instanceof Date) || isNaN(pickupTS)) continue;
-      if (!(dropoffTS instanceof Date) || isNaN(dropoffTS)) continue;
-      const startOfDay = dayStart(pickupTS);
-      const pickupSec = (pickupTS - startOfDay) / 1000;
-      const dropoffSec = (dropoffTS - startOfDay) / 1000;
-      if (dropoffSec <= pickupSec) continue;
-      const plon = parseFloat(row.pickup_longitude || row.Pickup_longitude || row.pickup_longitude);
-      const plat = parseFloat(row.pickup_latitude || row.Pickup_latitude || row.pickup_latitude);
-      const dlon = parseFloat(row.dropoff_longitude || row.Dropoff_longitude || row.dropoff_longitude);
-      const dlat = parseFloat(row.dropoff_latitude || row.Dropoff_latitude || row.dropoff_latitude);
-      if (!isFinite(plon) || !isFinite(plat) || !isFinite(dlon) || !isFinite(dlat)) continue;
-
-      const startPos = { ...project(plon, plat, 220), lon: plon, lat: plat };
-      const endPos = { ...project(dlon, dlat, 220), lon: dlon, lat: dlat };
-
-      trips.push({
-        // id will be assigned after sorting
-        startTime: pickupSec,
-        endTime: dropoffSec,
-        startPos,
-        endPos,
-        fare: Number(row.fare_amount) || 0,
-        passengers: Number(row.passenger_count) || 0,
-        vendor: row.VendorID || row.vendor_id || 0,
-        pickupDate: pickupTS,
-        pickupTimestamp: pickupTS.getTime()
+      const hit = key ? await getCachedTrips(key).catch(e => { console.warn('[TripCache] Read failed', e); return null; }) : null;
+      result.cached = !!hit;
+      result.trips = await streamTrips(hit || source, {
+        ...opts,
+        ...(hit ? { format: 'nyct' } : {}),
+        ids,
+        onBatch,
+        onEncoded: (buffer) => { result.buffer = buffer; },
+        onSchema: (s) => { result.fleet = s.fleet; },
+        onReport: (r) => {
+          reports[i] = result.report = { ...r, source: sourceName(source), fleet: result.fleet };
+          if (onReport) onReport(mergeIngestReports(reports));
+        },
+        onProgress: (l, t) => { loaded[i] = l; totals[i] = t; report(); }
       });
+      if (key && !hit && result.trips) putCachedTrips(key, result.buffer).catch(e => console.warn('[TripCache] Write failed', e));
     } catch (e) {
-      // skip row
+      result.error = e;
     }
-  }
+    return result;
+  }));
+}
+
+// Load and parse CSV of taxi trips. Returns array of cleaned trip objects.
+export async function loadTrips(url = 'src/geo/subset.csv') {
+  const trips = [];
+  await streamTrips(url, { onBatch: (batch) => { for (const t of batch) trips.push(t); } });
   trips.sort((a,b) => a.pickupTimestamp - b.pickupTimestamp);
   // Assign id in sort order
   trips.forEach((trip, idx) => {
@@ -0,0 +1,83 @@
+import { asyncBufferFromUrl, cachedAsyncBuffer, parquetMetadataAsync, parquetSchema, parquetReadObjects } from '../vendor/hyparquet/index.js';
+
+// Rows decoded per read; TLC files often hold millions of rows in a single row group.
+const SLICE_ROWS = 100000;
+
+// True when the first bytes are the Parquet magic "PAR1"
+export function isParquetHeader(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x41 && bytes[2] === 0x52 && bytes[3] === 0x31;
+}
+
+// Byte-range reader over a URL (HTTP range requests) with slice caching
+export async function parquetSourceFromUrl(url) {
+  return cachedAsyncBuffer(await asyncBufferFromUrl({ url }));
+}
+
+// Byte-range reader over a local File/Blob (drag-and-drop / file picker)
+export function parquetSourceFromBlob(blob) {
+  return { byteLength: blob.size, slice: (start, end) => blob.slice(start, end).arrayBuffer() };
+}
+
+// TLC timestamps are naive local times stored as UTC instants; format them back to the
+// "YYYY-MM-DD HH:MM:SS" text the CSV files carry so both formats share one row transform.
+function formatNaive(d) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${p(d.getUTCMonth()+1)}-${p(d.getUTCDate())} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+}
+
+function normalizeRow(row) {
+  for (const k in row) {
+    const v = row[k];
+    if (typeof v === 'bigint') row[k] = Number(v);
+    else if (v instanceof Date) row[k] = formatNaive(v);
+  }
+  return row;
+}
+
+// Row group statistics for the pickup column, when the writer recorded them
+function pickupRange(rowGroup, timeColumn) {
+  const chunk = rowGroup.columns.find(c => c.meta_data && c.meta_data.path_in_schema.join('.') === timeColumn);
+  const stats = chunk && chunk.meta_data.statistics;
+  if (!stats) return null;
+  const min = stats.min_value ?? stats.min;
+  const max = stats.max_value ?? stats.max;
+  if (!(min instanceof Date) || !(max instanceof Date)) return null;
+  return { min: min.getTime(), max: max.getTime() };
+}
+
+// Read trip rows from a Parquet source, decoding only the trip columns and skipping row groups whose
+// pickup statistics fall outside timeRange ([minMs, maxMs] in the file's naive-UTC clock, optional).
+// selectColumns(availableNames) resolves to { columns, timeColumn } (the schema's projection); then
+// onRows(rows) runs per decoded slice and onProgress(bytesDone, bytesTotal) after each slice.
+export async function readParquetTrips(source, { selectColumns, onRows, onProgress, timeRange = null } = {}) {
+  const metadata = await parquetMetadataAsync(source);
+  const available = parquetSchema(metadata).children.map(c => c.element.name);
+  const { columns, timeColumn } = await selectColumns(available);
+
+  const groups = [];
+  let rowStart = 0;
+  let bytesTotal = 0;
+  for (const rg of metadata.row_groups) {
+    const numRows = Number(rg.num_rows);
+    const bytes = Number(rg.total_compressed_size ?? rg.total_byte_size) || 0;
+    let keep = true;
+    if (timeRange) {
+      const r = pickupRange(rg, timeColumn);
+      if (r && (r.max < timeRange[0] || r.min > timeRange[1])) keep = false;
+    }
+    if (keep) { groups.push({ rowStart, rowEnd: rowStart + numRows, bytes }); bytesTotal += bytes; }
+    rowStart += numRows;
+  }
+
+  let bytesDone = 0;
+  for (const g of groups) {
+    for (let start = g.rowStart; start < g.rowEnd; start += SLICE_ROWS) {
+      const end = Math.min(g.rowEnd, start + SLICE_ROWS);
+      const rows = await parquetReadObjects({ file: source, metadata, columns, rowStart: start, rowEnd: end });
+      for (const row of rows) normalizeRow(row);
+      if (onRows) onRows(rows);
+      bytesDone += g.bytes * (end - start) / (g.rowEnd - g.rowStart);
+      if (onProgress) onProgress(Math.round(bytesDone), bytesTotal);
+    }
+  }
+}
@@ -0,0 +1,69 @@
+// IndexedDB cache of computed road routes, keyed by [dataset, graph version, endpoints]: the dataset key
+// (tripCacheKey of its sources), the road graph's content version (routing.js; changes with road toggles and
+// map coverage) and routeKey() of the snapped endpoints. Values are { coords: Float32Array of x, z pairs,
+// types } or { coords: null } for endpoints the graph does not connect. Used by the route worker.
+
+const DB_NAME = 'nyc-taxis-routes';
+const STORE = 'routes';
+
+let dbPromise = null;
+function openRouteDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB unavailable'));
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs fn(store) in one transaction; resolves with fn's return value once the transaction completes
+async function inTransaction(mode, fn) {
+  const db = await openRouteDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Map of route key -> cached value for the keys found
+export function getCachedRoutes(dataset, version, keys) {
+  return inTransaction('readonly', (store) => {
+    const found = new Map();
+    for (const key of keys) {
+      const req = store.get([dataset, version, key]);
+      req.onsuccess = () => { if (req.result) found.set(key, req.result); };
+    }
+    return found;
+  });
+}
+
+// entries: [{ key, coords, types }]
+export function putCachedRoutes(dataset, version, entries) {
+  return inTransaction('readwrite', (store) => {
+    for (const { key, coords, types } of entries) store.put({ coords, types }, [dataset, version, key]);
+  });
+}
+
+// Delete the routes stored for every graph version but `version` (other road data or coverage, usually from
+// earlier sessions), so the cache does not grow with each map change. Resolves with the number deleted.
+export function deleteOtherVersions(version) {
+  return inTransaction('readwrite', (store) => {
+    const deleted = { count: 0 };
+    const req = store.openKeyCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (cursor.key[1] !== version) { store.delete(cursor.primaryKey); deleted.count++; }
+      cursor.continue();
+    };
+    return deleted;
+  }).then(deleted => deleted.count);
+}
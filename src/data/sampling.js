@@ -0,0 +1,40 @@
+import { seededRandom } from '../utils/random.js';
+
+// Load-time downsampling of accepted trips. Runs in the ingest worker, so rows that are sampled out
+// never reach the main thread.
+//   'uniform': keep each trip with probability `rate` (seeded, so a reload keeps the same trips)
+//   'hour':    stratified by clock hour: each hour keeps round(n * rate) of its n trips (±1), so the
+//              shape of the day survives even at small rates
+
+export const SAMPLE_MODES = ['none', 'uniform', 'hour'];
+export const SAMPLE_SEED = 1337;
+
+const HOUR_MS = 3600000;
+
+// Returns a predicate trip -> keep?, or null when nothing is sampled out
+export function createSampler({ mode = 'none', rate = 1, seed = SAMPLE_SEED } = {}) {
+  if (mode === 'none' || !(rate < 1)) return null;
+  if (!(rate > 0)) throw new Error(`Sample rate must be in (0, 1], got ${rate}`);
+  const rng = seededRandom(seed);
+  if (mode === 'uniform') return () => rng() < rate;
+  if (mode === 'hour') {
+    // Systematic sampling inside each stratum with a seeded random phase. New York's UTC offset is a
+    // whole number of hours, so UTC hour buckets are exactly New York clock hours.
+    const strata = new Map();
+    return (trip) => {
+      const key = Math.floor(trip.pickupTimestamp / HOUR_MS);
+      let s = strata.get(key);
+      if (!s) { s = { seen: 0, phase: rng() }; strata.set(key, s); }
+      const before = Math.floor(s.seen * rate + s.phase);
+      s.seen++;
+      return Math.floor(s.seen * rate + s.phase) > before;
+    };
+  }
+  throw new Error(`Unknown sample mode "${mode}"`);
+}
+
+// Short label for HUD / cache keys, e.g. "hour 10% #1337"; '' when not sampling
+export function describeSample(sample) {
+  if (!sample || sample.mode === 'none' || !(sample.rate < 1)) return '';
+  return `${sample.mode} ${+(sample.rate * 100).toFixed(3)}% #${sample.seed ?? SAMPLE_SEED}`;
+}
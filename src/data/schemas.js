@@ -0,0 +1,90 @@
+// TLC trip record layouts. Each fleet lists candidate column names per role (matched case-insensitively
+// and ignoring stray whitespace, e.g. 2014 yellow headers like " pickup_datetime"); detectSchema resolves
+// them against a file's actual header.
+
+export const FLEETS = ['yellow', 'green', 'fhv', 'hvfhv'];
+
+export const FLEET_LABELS = { yellow: 'Yellow', green: 'Green', fhv: 'FHV', hvfhv: 'HVFHV' };
+
+// Candidate columns shared by every layout (only some exist in a given file)
+const LOCATION_ROLES = {
+  puZone: ['pulocationid'],
+  doZone: ['dolocationid'],
+  plon: ['pickup_longitude'],
+  plat: ['pickup_latitude'],
+  dlon: ['dropoff_longitude'],
+  dlat: ['dropoff_latitude']
+};
+
+// Order matters: the first layout whose `match` columns are all present wins.
+const LAYOUTS = [
+  {
+    fleet: 'hvfhv',
+    match: ['hvfhs_license_num'],
+    roles: { pickup: ['pickup_datetime'], dropoff: ['dropoff_datetime'], vendor: ['hvfhs_license_num'], fare: ['base_passenger_fare'], passengers: [], distance: ['trip_miles'], tip: ['tips'], payment: [] }
+  },
+  {
+    fleet: 'fhv',
+    match: ['dispatching_base_num', 'pickup_datetime'],
+    roles: { pickup: ['pickup_datetime'], dropoff: ['dropoff_datetime'], vendor: ['dispatching_base_num'], fare: [], passengers: [], distance: [], tip: [], payment: [] }
+  },
+  {
+    fleet: 'green',
+    match: ['lpep_pickup_datetime'],
+    roles: { pickup: ['lpep_pickup_datetime'], dropoff: ['lpep_dropoff_datetime'], vendor: ['vendorid'], fare: ['fare_amount'], passengers: ['passenger_count'], distance: ['trip_distance'], tip: ['tip_amount'], payment: ['payment_type'] }
+  },
+  {
+    fleet: 'yellow',
+    match: ['tpep_pickup_datetime'],
+    roles: { pickup: ['tpep_pickup_datetime'], dropoff: ['tpep_dropoff_datetime'], vendor: ['vendorid'], fare: ['fare_amount'], passengers: ['passenger_count'], distance: ['trip_distance'], tip: ['tip_amount'], payment: ['payment_type'] }
+  },
+  {
+    // Pre-2015 yellow layout
+    fleet: 'yellow',
+    match: ['pickup_datetime', 'vendor_id'],
+    roles: { pickup: ['pickup_datetime'], dropoff: ['dropoff_datetime'], vendor: ['vendor_id'], fare: ['fare_amount'], passengers: ['passenger_count'], distance: ['trip_distance'], tip: ['tip_amount'], payment: ['payment_type'] }
+  }
+];
+
+const normalize = (name) => String(name).trim().toLowerCase();
+
+// Payment types: TLC numeric codes (2015+) and the pre-2015 abbreviations map to one set of keys
+export const PAYMENT_LABELS = { card: 'Card', cash: 'Cash', no_charge: 'No charge', dispute: 'Dispute', flex: 'Flex fare', unknown: 'Unknown', voided: 'Voided' };
+const PAYMENT_CODES = {
+  0: 'flex', 1: 'card', 2: 'cash', 3: 'no_charge', 4: 'dispute', 5: 'unknown', 6: 'voided',
+  crd: 'card', cre: 'card', credit: 'card', csh: 'cash', cas: 'cash', noc: 'no_charge', 'no charge': 'no_charge',
+  dis: 'dispute', unk: 'unknown'
+};
+
+// Payment key for a raw payment_type value (null when missing or unrecognised)
+export function normalizePayment(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return PAYMENT_CODES[normalize(value)] || null;
+}
+
+// Resolve a header into { fleet, locationMode, cols: { role -> actual column name | null } }.
+// Returns null when no known layout matches.
+export function detectSchema(fields) {
+  const byName = new Map();
+  for (const f of fields) byName.set(normalize(f), f);
+  const layout = LAYOUTS.find(l => l.match.every(m => byName.has(m)));
+  if (!layout) return null;
+  const cols = {};
+  const roles = { ...layout.roles, ...LOCATION_ROLES };
+  for (const role in roles) {
+    const hit = roles[role].find(c => byName.has(c));
+    cols[role] = hit ? byName.get(hit) : null;
+  }
+  // Coordinates win when present (pre mid-2016); otherwise fall back to taxi zone ids
+  const locationMode = cols.plon && cols.plat && cols.dlon && cols.dlat ? 'coords'
+    : cols.puZone && cols.doZone ? 'zones' : null;
+  if (!locationMode || !cols.pickup || !cols.dropoff) return null;
+  return { fleet: layout.fleet, locationMode, cols };
+}
+
+// Actual column names a schema reads (used to project Parquet reads)
+export function schemaColumns(schema) {
+  const names = [];
+  for (const role in schema.cols) if (schema.cols[role]) names.push(schema.cols[role]);
+  return [...new Set(names)];
+}
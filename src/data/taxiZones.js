@@ -0,0 +1,105 @@
+import { pointInPolygon, ringArea, ringBounds, ringCentroid } from '../utils/polygon.js';
+
+// TLC taxi zone reference data (https://www.nyc.gov/site/tlc/about/tlc-trip-record-data.page):
+// the zone polygons as lon/lat GeoJSON and the LocationID -> Borough/Zone lookup table. Local copies next to
+// the other geo layers are used when present; otherwise both come from their public sources: the NYC Open
+// Data "NYC Taxi Zones" GeoJSON export and the TLC's lookup CSV.
+export const TAXI_ZONES_URL = 'src/geo/taxi_zones.geojson';
+export const TAXI_ZONE_LOOKUP_URL = 'src/geo/taxi_zone_lookup.csv';
+export const TAXI_ZONES_PUBLIC_URL = 'https://data.cityofnewyork.us/api/geospatial/d3c5-ddgc?method=export&format=GeoJSON';
+export const TAXI_ZONE_LOOKUP_PUBLIC_URL = 'https://d37ci6vzurychx.cloudfront.net/misc/taxi_zone_lookup.csv';
+
+// First URL that answers, as { res, url }; failures of the others are listed in `tried`
+async function fetchFirst(urls) {
+  const tried = [];
+  for (const url of urls) {
+    try {
+      const res = await fetch(url);
+      if (res.ok) return { res, url, tried };
+      tried.push(`${url} (${res.status})`);
+    } catch (err) {
+      tried.push(`${url} (${err.message || 'network error'})`);
+    }
+  }
+  return { res: null, url: null, tried };
+}
+
+// Fetch zone polygons + lookup table (each from the first of its URLs that answers) and index them.
+// The lookup is optional: zone and borough names also come from the GeoJSON properties when it is missing.
+export async function loadTaxiZones(geoUrls = [TAXI_ZONES_URL, TAXI_ZONES_PUBLIC_URL], lookupUrls = [TAXI_ZONE_LOOKUP_URL, TAXI_ZONE_LOOKUP_PUBLIC_URL]) {
+  const [geo, lookup] = await Promise.all([fetchFirst([].concat(geoUrls)), fetchFirst([].concat(lookupUrls))]);
+  // Zone-based files cannot be placed at all without the polygons, so say where they were looked for
+  if (!geo.res) throw new Error(`Taxi zone polygons not found: ${geo.tried.join(', ')}. Zone-based TLC files (PULocationID / DOLocationID) need them; see README "Taxi Zone Data"`);
+  let rows = [];
+  if (lookup.res) {
+    // Papa is only needed here; imported on demand so the indexing below also runs in Node
+    const { default: Papa } = await import('https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm');
+    rows = Papa.parse(await lookup.res.text(), { header: true, dynamicTyping: true, skipEmptyLines: true }).data;
+  }
+  return indexTaxiZones(await geo.res.json(), rows);
+}
+
+// Index zone polygons (GeoJSON FeatureCollection with LocationID / location_id properties) and lookup rows
+// ({ LocationID, Borough, Zone }) by LocationID.
+// Returns Map<id, { id, borough, zone, polys: [{ rings, bounds, area }], area }>.
+export function indexTaxiZones(geojson, lookupRows = []) {
+  const zones = new Map();
+  for (const row of lookupRows) {
+    const id = Number(row.LocationID);
+    if (!id) continue;
+    zones.set(id, { id, borough: row.Borough || '', zone: row.Zone || '', polys: [], area: 0 });
+  }
+  for (const f of (geojson.features || [])) {
+    const props = f.properties || {};
+    const id = Number(props.LocationID ?? props.location_id ?? props.locationid);
+    const geom = f.geometry;
+    if (!id || !geom) continue;
+    let z = zones.get(id);
+    if (!z) { z = { id, borough: props.borough || '', zone: props.zone || '', polys: [], area: 0 }; zones.set(id, z); }
+    const polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.type === 'MultiPolygon' ? geom.coordinates : [];
+    for (const rings of polygons) {
+      if (!rings.length || rings[0].length < 3) continue;
+      const area = ringArea(rings[0]);
+      z.polys.push({ rings, bounds: ringBounds(rings[0]), area });
+      z.area += area;
+    }
+  }
+  return zones;
+}
+
+// Area-weighted centroid of a zone's parts as [lon, lat], or null for zones without geometry
+export function zoneCentroid(zone) {
+  if (!zone || !zone.polys.length) return null;
+  if (!zone.area) return ringCentroid(zone.polys[0].rings[0]);
+  let lon = 0, lat = 0;
+  for (const p of zone.polys) {
+    const [x, y] = ringCentroid(p.rings[0]);
+    lon += x * p.area;
+    lat += y * p.area;
+  }
+  return [lon / zone.area, lat / zone.area];
+}
+
+// Random lon/lat inside a zone: pick a part weighted by area, then rejection-sample its bounding box.
+// rng is a seeded generator so placements are identical on every load. Returns null for zones
+// without geometry (e.g. 264/265 "Unknown" / "Outside of NYC").
+export function randomPointInZone(zone, rng) {
+  if (!zone || !zone.polys.length) return null;
+  let pick = rng() * zone.area;
+  let poly = zone.polys[zone.polys.length - 1];
+  for (const p of zone.polys) {
+    if (pick < p.area) { poly = p; break; }
+    pick -= p.area;
+  }
+  const { minX, maxX, minY, maxY } = poly.bounds;
+  for (let i = 0; i < 32; i++) {
+    const lon = minX + rng() * (maxX - minX);
+    const lat = minY + rng() * (maxY - minY);
+    if (pointInPolygon(lon, lat, poly.rings)) return [lon, lat];
+  }
+  // Very thin sliver: fall back to the ring's vertex average
+  const ring = poly.rings[0];
+  let sx = 0, sy = 0;
+  for (const [lon, lat] of ring) { sx += lon; sy += lat; }
+  return [sx / ring.length, sy / ring.length];
+}
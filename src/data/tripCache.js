@@ -0,0 +1,274 @@
+// Compact binary columnar trip format (".nyct") plus an IndexedDB cache of it, so a dataset that was
+// parsed once reopens without CSV/Parquet parsing or re-projection.
+//
+// Layout: "NYCT" magic, u32 format version, u32 header length, UTF-8 JSON header, then one typed-array
+// column per field (each 8-byte aligned; offsets in the header are relative to the start of the file).
+// The header carries the row count, column table, string dictionaries, bounds and the ingest report.
+
+import { nyMidnight, nyNextMidnight } from '../utils/nyTime.js';
+
+const MAGIC = [0x4e, 0x59, 0x43, 0x54]; // "NYCT"
+export const TRIP_CACHE_VERSION = 2;
+// Older files still decode; columns they lack read as missing (NaN / null)
+const READABLE_VERSIONS = [1, 2];
+// Bumped when the row -> trip rules change (which rows are rejected), so cached parses are redone
+const INGEST_REVISION = 3;
+// Passenger count stored for trips without one (FHV); fare is float32 and keeps NaN as is
+const NO_PASSENGERS = 255;
+
+// Column order and storage types. Lon/lat fit in float32 (~0.5 m at NYC); times stay float64 ms.
+const COLUMNS = [
+  { name: 'pickupTimestamp', type: 'Float64Array', get: t => t.pickupTimestamp },
+  { name: 'duration', type: 'Float32Array', get: t => t.endTime - t.startTime },
+  { name: 'startX', type: 'Float32Array', get: t => t.startPos.x },
+  { name: 'startZ', type: 'Float32Array', get: t => t.startPos.z },
+  { name: 'endX', type: 'Float32Array', get: t => t.endPos.x },
+  { name: 'endZ', type: 'Float32Array', get: t => t.endPos.z },
+  { name: 'startLon', type: 'Float32Array', get: t => t.startPos.lon },
+  { name: 'startLat', type: 'Float32Array', get: t => t.startPos.lat },
+  { name: 'endLon', type: 'Float32Array', get: t => t.endPos.lon },
+  { name: 'endLat', type: 'Float32Array', get: t => t.endPos.lat },
+  { name: 'fare', type: 'Float32Array', get: t => t.fare },
+  { name: 'passengers', type: 'Uint8Array', get: t => Number.isFinite(t.passengers) ? Math.min(t.passengers, NO_PASSENGERS - 1) : NO_PASSENGERS },
+  { name: 'distance', type: 'Float32Array', get: t => t.distance ?? NaN },
+  { name: 'tip', type: 'Float32Array', get: t => t.tip ?? NaN },
+  { name: 'payment', type: 'Uint8Array', dict: 'payment', get: t => t.payment ?? null },
+  { name: 'vendor', type: 'Uint16Array', dict: 'vendor', get: t => t.vendor },
+  { name: 'fleet', type: 'Uint8Array', dict: 'fleet', get: t => t.fleet },
+  { name: 'pickupZone', type: 'Uint16Array', dict: 'zone', get: t => t.pickupZone ?? null },
+  { name: 'dropoffZone', type: 'Uint16Array', dict: 'zone', get: t => t.dropoffZone ?? null }
+];
+
+const ARRAY_TYPES = { Float64Array, Float32Array, Uint16Array, Uint8Array };
+
+const align8 = (n) => (n + 7) & ~7;
+
+// True when the first bytes are the ".nyct" magic
+export function isTripCacheHeader(bytes) {
+  return bytes.length >= 4 && MAGIC.every((b, i) => bytes[i] === b);
+}
+
+// Encode trips (as produced by parseTripRow; only durations are taken from startTime/endTime, so
+// rebased trips encode the same) into an ArrayBuffer.
+// meta: { sources, report } is stored in the header as-is.
+export function encodeTrips(trips, meta = {}) {
+  const sorted = trips.slice().sort((a,b) => a.pickupTimestamp - b.pickupTimestamp);
+  const n = sorted.length;
+  // String-ish fields become dictionary indices; zone / payment index 0 means "none"
+  const dicts = { vendor: [], fleet: [], zone: [null], payment: [null] };
+  const lookups = { vendor: new Map(), fleet: new Map(), zone: new Map([[null, 0]]), payment: new Map([[null, 0]]) };
+  const code = (dict, value) => {
+    let i = lookups[dict].get(value);
+    if (i === undefined) { i = dicts[dict].length; dicts[dict].push(value); lookups[dict].set(value, i); }
+    return i;
+  };
+
+  const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity, minLon: Infinity, maxLon: -Infinity, minLat: Infinity, maxLat: -Infinity, startMs: n ? sorted[0].pickupTimestamp : null, endMs: null };
+  let endMs = -Infinity;
+  const arrays = COLUMNS.map(c => new ARRAY_TYPES[c.type](n));
+  for (let r = 0; r < n; r++) {
+    const t = sorted[r];
+    for (let c = 0; c < COLUMNS.length; c++) {
+      const col = COLUMNS[c];
+      const v = col.get(t);
+      arrays[c][r] = col.dict ? code(col.dict, v) : v;
+    }
+    for (const p of [t.startPos, t.endPos]) {
+      if (p.x < bounds.minX) bounds.minX = p.x; if (p.x > bounds.maxX) bounds.maxX = p.x;
+      if (p.z < bounds.minZ) bounds.minZ = p.z; if (p.z > bounds.maxZ) bounds.maxZ = p.z;
+      if (p.lon < bounds.minLon) bounds.minLon = p.lon; if (p.lon > bounds.maxLon) bounds.maxLon = p.lon;
+      if (p.lat < bounds.minLat) bounds.minLat = p.lat; if (p.lat > bounds.maxLat) bounds.maxLat = p.lat;
+    }
+    const end = t.pickupTimestamp + (t.endTime - t.startTime) * 1000;
+    if (end > endMs) endMs = end;
+  }
+  if (n) bounds.endMs = endMs;
+  if (dicts.vendor.length > 0xffff || dicts.zone.length > 0xffff || dicts.fleet.length > 0xff || dicts.payment.length > 0xff) {
+    throw new Error('Trip cache dictionary overflow');
+  }
+
+  // Column offsets depend on the header size, which depends on the offsets; lay columns out after a
+  // header sized with placeholder offsets, then pad the real header to the same length.
+  const columns = COLUMNS.map((c, i) => ({ name: c.name, type: c.type, offset: 0, byteLength: arrays[i].byteLength }));
+  const header = { format: 'nyct', version: TRIP_CACHE_VERSION, count: n, columns, dicts, bounds, sources: meta.sources || [], report: meta.report || null, created: new Date().toISOString() };
+  const encoder = new TextEncoder();
+  const draft = encoder.encode(JSON.stringify({ ...header, columns: columns.map(c => ({ ...c, offset: Number.MAX_SAFE_INTEGER })) }));
+  const headerBytes = draft.length;
+  let offset = align8(12 + headerBytes);
+  for (const c of columns) { c.offset = offset; offset = align8(offset + c.byteLength); }
+  const json = encoder.encode(JSON.stringify(header));
+
+  const buffer = new ArrayBuffer(offset);
+  const bytes = new Uint8Array(buffer);
+  bytes.set(MAGIC, 0);
+  const view = new DataView(buffer);
+  view.setUint32(4, TRIP_CACHE_VERSION, true);
+  view.setUint32(8, headerBytes, true);
+  bytes.fill(0x20, 12, 12 + headerBytes); // real offsets are shorter than the placeholders: pad with spaces
+  bytes.set(json, 12);
+  columns.forEach((c, i) => bytes.set(new Uint8Array(arrays[i].buffer), c.offset));
+  return buffer;
+}
+
+// Read just the JSON header of an encoded buffer
+export function readTripCacheHeader(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (!isTripCacheHeader(bytes)) throw new Error('Not a trip cache file');
+  const view = new DataView(buffer);
+  const version = view.getUint32(4, true);
+  if (!READABLE_VERSIONS.includes(version)) throw new Error(`Unsupported trip cache version ${version}`);
+  const length = view.getUint32(8, true);
+  return JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + length)));
+}
+
+// Decode an encoded buffer back into trip objects (same shape parseTripRow produces, ids 1..n in
+// pickup order). Returns { header, trips }.
+export function decodeTrips(buffer) {
+  const header = readTripCacheHeader(buffer);
+  const n = header.count;
+  const col = {};
+  for (const c of header.columns) {
+    const Type = ARRAY_TYPES[c.type];
+    col[c.name] = new Type(buffer, c.offset, c.byteLength / Type.BYTES_PER_ELEMENT);
+  }
+  const { vendor, fleet, zone } = header.dicts;
+  const payment = header.dicts.payment || [null];
+  const trips = new Array(n);
+  // Rows are in pickup order, so the New York day window only moves forward
+  let dayStart = -Infinity, dayEnd = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const pickupMs = col.pickupTimestamp[i];
+    if (pickupMs < dayStart || pickupMs >= dayEnd) { dayStart = nyMidnight(pickupMs); dayEnd = nyNextMidnight(pickupMs); }
+    const startTime = (pickupMs - dayStart) / 1000;
+    const trip = {
+      id: i + 1,
+      startTime,
+      endTime: startTime + col.duration[i],
+      startPos: { x: col.startX[i], z: col.startZ[i], lon: col.startLon[i], lat: col.startLat[i] },
+      endPos: { x: col.endX[i], z: col.endZ[i], lon: col.endLon[i], lat: col.endLat[i] },
+      fare: col.fare[i],
+      passengers: col.passengers[i] === NO_PASSENGERS ? NaN : col.passengers[i],
+      vendor: vendor[col.vendor[i]],
+      fleet: fleet[col.fleet[i]],
+      distance: col.distance ? col.distance[i] : NaN,
+      tip: col.tip ? col.tip[i] : NaN,
+      payment: col.payment ? payment[col.payment[i]] : null,
+      pickupDate: new Date(pickupMs),
+      pickupTimestamp: pickupMs
+    };
+    if (col.pickupZone[i]) {
+      trip.pickupZone = zone[col.pickupZone[i]];
+      trip.dropoffZone = zone[col.dropoffZone[i]];
+    }
+    trips[i] = trip;
+  }
+  return { header, trips };
+}
+
+// --- IndexedDB cache of encoded datasets, keyed by their sources ---
+// Buffers and their { bytes, used } bookkeeping live in separate stores, so marking an entry as used
+// does not rewrite its buffer. Least recently used entries are evicted past either cap.
+
+const DB_NAME = 'nyc-taxis';
+const STORE = 'tripCache';
+const META_STORE = 'tripCacheMeta';
+export const TRIP_CACHE_MAX_BYTES = 512 * 1024 * 1024;
+export const TRIP_CACHE_MAX_ENTRIES = 20;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const done = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+let dbPromise = null;
+function openCacheDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB unavailable'));
+    const req = indexedDB.open(DB_NAME, 2);
+    req.onupgradeneeded = () => {
+      // Version 1 entries have no bookkeeping to evict them by: start over
+      const db = req.result;
+      if (db.objectStoreNames.contains(STORE)) db.deleteObjectStore(STORE);
+      db.createObjectStore(STORE);
+      db.createObjectStore(META_STORE);
+    };
+    dbPromise = request(req);
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run fn(buffers, meta) in one transaction over both stores; resolves once it commits
+async function withStores(mode, fn) {
+  const db = await openCacheDb();
+  const tx = db.transaction([STORE, META_STORE], mode);
+  const result = fn(tx.objectStore(STORE), tx.objectStore(META_STORE));
+  await done(tx);
+  return result;
+}
+
+// Cache key for a list of sources: absolute URLs, or name/size/mtime for local Files. Includes the
+// format version and ingest revision so an incompatible or outdated entry is simply never hit; variant distinguishes load options
+// that change the trip set (e.g. sampling).
+export function tripCacheKey(sources, variant = '') {
+  const parts = sources.map(s => typeof s === 'string'
+    ? new URL(s, typeof document !== 'undefined' ? document.baseURI : undefined).href
+    : `file:${s.name}:${s.size}:${s.lastModified}`);
+  return `v${TRIP_CACHE_VERSION}r${INGEST_REVISION}|${parts.join('|')}${variant ? '|' + variant : ''}`;
+}
+
+// Encoded buffer for a key, or null; a hit becomes the most recently used entry
+export async function getCachedTrips(key) {
+  const db = await openCacheDb();
+  const buffer = await request(db.transaction(STORE, 'readonly').objectStore(STORE).get(key));
+  if (!buffer) return null;
+  await withStores('readwrite', (_, meta) => meta.put({ bytes: buffer.byteLength, used: Date.now() }, key));
+  return buffer;
+}
+
+// Store a buffer, then evict least recently used entries beyond the caps
+export async function putCachedTrips(key, buffer) {
+  await withStores('readwrite', (buffers, meta) => {
+    buffers.put(buffer, key);
+    meta.put({ bytes: buffer.byteLength, used: Date.now() }, key);
+  });
+  const entries = await withStores('readonly', (_, meta) => {
+    const out = [];
+    meta.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      out.push({ key: cursor.key, ...cursor.value });
+      cursor.continue();
+    };
+    return out;
+  });
+  await Promise.all(tripCacheEvictions(entries).map(deleteCachedTrips));
+}
+
+// Keys to drop so the remaining entries fit both caps, least recently used first.
+// entries: [{ key, bytes, used }]
+export function tripCacheEvictions(entries, { maxBytes = TRIP_CACHE_MAX_BYTES, maxEntries = TRIP_CACHE_MAX_ENTRIES } = {}) {
+  const byUse = entries.slice().sort((a,b) => a.used - b.used);
+  let bytes = byUse.reduce((sum, e) => sum + e.bytes, 0);
+  const evict = [];
+  // The newest entry always stays, even when it alone is over the byte cap
+  for (let i = 0; i < byUse.length - 1 && (bytes > maxBytes || byUse.length - evict.length > maxEntries); i++) {
+    evict.push(byUse[i].key);
+    bytes -= byUse[i].bytes;
+  }
+  return evict;
+}
+
+export function deleteCachedTrips(key) {
+  return withStores('readwrite', (buffers, meta) => { buffers.delete(key); meta.delete(key); });
+}
+
+// Drop every cached dataset
+export function clearTripCache() {
+  return withStores('readwrite', (buffers, meta) => { buffers.clear(); meta.clear(); });
+}
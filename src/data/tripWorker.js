@@ -0,0 +1,238 @@
+import Papa from 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm';
+import { parseTripRow } from './loadTrips.js';
+import { detectSchema, schemaColumns } from './schemas.js';
+import { loadTaxiZones } from './taxiZones.js';
+import { isParquetHeader, parquetSourceFromUrl, parquetSourceFromBlob, readParquetTrips } from './parquetTrips.js';
+import { createIngestReport, countReject } from './ingestReport.js';
+import { isTripCacheHeader, encodeTrips, decodeTrips } from './tripCache.js';
+import { createSampler } from './sampling.js';
+import { seededRandom } from '../utils/random.js';
+import { nyOffsetMs } from '../utils/nyTime.js';
+
+// Ingest worker: reads the trip file (a URL or a local File; CSV as a byte stream, Parquet by row-group
+// ranges, .nyct trip caches whole), parses rows as they arrive and posts trips back in sorted batches so
+// the main thread never blocks. With `encode` set it also posts the accepted trips as one .nyct buffer
+// (for the trip cache and Export); 'merge' combines such buffers into one file.
+self.onmessage = async (e) => {
+  const msg = e.data;
+  if (!msg) return;
+  try {
+    if (msg.type === 'load') {
+      const sink = await ingest(msg);
+      if (msg.encode) {
+        const buffer = sink.encode();
+        self.postMessage({ type: 'encoded', buffer }, [buffer]);
+      }
+    } else if (msg.type === 'merge') {
+      const buffer = mergeTripCaches(msg.buffers, msg.meta);
+      self.postMessage({ type: 'encoded', buffer }, [buffer]);
+    } else {
+      return;
+    }
+    self.postMessage({ type: 'done' });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
+
+// One .nyct buffer holding the trips of several
+function mergeTripCaches(buffers, meta) {
+  const trips = [];
+  for (const buffer of buffers) for (const trip of decodeTrips(buffer).trips) trips.push(trip);
+  return encodeTrips(trips, meta);
+}
+
+// Shared row -> trip batching for both formats
+function createSink({ source, batchSize = 20000, locationMode = 'auto', zoneSeed, zonesUrls, zoneLookupUrls, sample, timeRange, encode = false }) {
+  let batch = [];
+  const kept = encode ? [] : null; // every accepted trip, for encode()
+  let restored = null; // the .nyct buffer restore() read, handed back as is
+  let ctx = null; // row context, resolved once the column names are known
+  const report = createIngestReport();
+  const keep = createSampler(sample || undefined); // null when loading everything
+  const inRange = timeRange ? (trip) => trip.pickupTimestamp >= timeRange[0] && trip.pickupTimestamp < timeRange[1] : null;
+
+  const flush = () => {
+    if (batch.length) {
+      batch.sort((a,b) => a.pickupTimestamp - b.pickupTimestamp);
+      self.postMessage({ type: 'batch', trips: batch });
+      batch = [];
+    }
+    self.postMessage({ type: 'report', report });
+  };
+
+  return {
+    // Resolve the schema from the header; returns it so Parquet reads can project its columns
+    async init(fields) {
+      const schema = detectSchema(fields);
+      if (!schema) throw new Error('Unrecognised trip file layout (expected yellow, green, FHV or HVFHV columns)');
+      const mode = locationMode === 'auto' ? schema.locationMode : locationMode;
+      self.postMessage({ type: 'schema', fleet: schema.fleet, locationMode: mode });
+      report.fleet = schema.fleet;
+      if (mode !== 'zones') { ctx = { schema, mode }; return schema; }
+      const zones = await loadTaxiZones(zonesUrls, zoneLookupUrls);
+      ctx = { schema, mode, zones, rng: seededRandom(zoneSeed) };
+      return schema;
+    },
+    // malformed: indexes of rows the CSV parser flagged (field count mismatch); they are rejected untransformed
+    push(rows, malformed = null) {
+      report.rowsRead += rows.length;
+      for (let i = 0; i < rows.length; i++) {
+        if (malformed && malformed.has(i)) { countReject(report, 'malformed_row'); continue; }
+        const row = rows[i];
+        const trip = parseTripRow(row, ctx, report);
+        if (!trip) continue;
+        if (inRange && !inRange(trip)) { report.outOfRange++; continue; }
+        if (keep && !keep(trip)) { report.sampledOut++; continue; }
+        batch.push(trip);
+        if (kept) kept.push(trip);
+      }
+      if (batch.length >= batchSize) flush();
+    },
+    // Already-parsed trips from a .nyct cache: no row transform, the stored report is passed through
+    // (a .nyct file is loaded as saved; it may itself be a sample or a time range)
+    restore(header, trips, buffer) {
+      restored = buffer;
+      const fleet = header.dicts.fleet[0] || null;
+      self.postMessage({ type: 'schema', fleet, locationMode: 'cache' });
+      if (header.report) {
+        for (const k of ['rowsRead', 'accepted', 'rejected', 'sampledOut', 'outOfRange', 'rejectReasons', 'outliers']) report[k] = header.report[k] || report[k];
+      } else {
+        report.rowsRead = report.accepted = trips.length;
+      }
+      report.fleet = fleet;
+      for (let i = 0; i < trips.length; i += batchSize) {
+        batch = trips.slice(i, i + batchSize);
+        flush();
+      }
+    },
+    flush,
+    // The accepted trips as a .nyct buffer
+    encode() {
+      if (restored) return restored;
+      const name = typeof source === 'string' ? source.split('/').pop() : source.name || '';
+      return encodeTrips(kept, { sources: [name], report });
+    }
+  };
+}
+
+async function ingest(opts) {
+  const { source, format = 'auto' } = opts;
+  const sink = createSink(opts);
+  const progress = (loaded, total) => self.postMessage({ type: 'progress', loaded, total });
+  const name = typeof source === 'string' ? source : source.name || '';
+  if (format === 'parquet' || (format === 'auto' && /\.parquet(\?|#|$)/i.test(name))) {
+    await ingestParquet(source, sink, opts, progress);
+  } else if (format === 'nyct' || (format === 'auto' && /\.nyct(\?|#|$)/i.test(name))) {
+    await ingestTripCache(source, sink, progress);
+  } else {
+    await ingestCsv(source, sink, opts, progress);
+  }
+  sink.flush();
+  return sink;
+}
+
+async function ingestParquet(source, sink, { timeRange }, progress) {
+  const file = typeof source === 'string' ? await parquetSourceFromUrl(source) : parquetSourceFromBlob(source);
+  await readParquetTrips(file, {
+    // Row group statistics are in the file's naive wall clock (New York local time read as UTC)
+    timeRange: timeRange && timeRange.map(ms => isFinite(ms) ? ms + nyOffsetMs(ms) : ms),
+    selectColumns: async (available) => {
+      const schema = await sink.init(available);
+      return { columns: schemaColumns(schema), timeColumn: schema.cols.pickup };
+    },
+    onRows: (rows) => sink.push(rows),
+    onProgress: progress
+  });
+}
+
+// Binary trip cache (see tripCache.js): read whole, decode, hand over in batches. source may also be
+// the encoded ArrayBuffer itself (an IndexedDB hit)
+async function ingestTripCache(source, sink, progress) {
+  let buffer;
+  if (source instanceof ArrayBuffer) {
+    buffer = source;
+  } else if (typeof source === 'string') {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error('Failed to fetch trip cache');
+    buffer = await res.arrayBuffer();
+  } else {
+    buffer = await source.arrayBuffer();
+  }
+  progress(buffer.byteLength, buffer.byteLength);
+  const { header, trips } = decodeTrips(buffer);
+  sink.restore(header, trips, buffer);
+}
+
+// Byte stream + size for a URL or a local File/Blob
+async function openStream(source) {
+  if (typeof source !== 'string') return { stream: source.stream(), total: source.size };
+  const res = await fetch(source);
+  if (!res.ok) throw new Error('Failed to fetch CSV');
+  return { stream: res.body, total: Number(res.headers.get('Content-Length')) || 0 };
+}
+
+async function ingestCsv(source, sink, opts, progress) {
+  const { stream, total } = await openStream(source);
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let headerLine = null;
+  let carry = ''; // text after the last complete row (may end inside a quoted field)
+  let scanned = 0; // carry[0..scanned) has been searched for row ends
+  let quoted = false; // inside a quoted field at carry[scanned]
+  let loaded = 0;
+
+  // End of the last complete row in carry: just past the last newline outside quotes (0 when there is none).
+  // Quoted fields may span lines; an escaped "" toggles the state twice.
+  const rowsEnd = () => {
+    let end = 0;
+    for (let i = scanned; i < carry.length; i++) {
+      const ch = carry.charCodeAt(i);
+      if (ch === 34) quoted = !quoted;
+      else if (ch === 10 && !quoted) end = i + 1;
+    }
+    scanned = carry.length;
+    return end;
+  };
+
+  const parseBlock = async (block) => {
+    if (headerLine === null) {
+      const nl = block.indexOf('\n');
+      headerLine = (nl < 0 ? block : block.slice(0, nl)).replace(/\r$/, '').trim();
+      block = nl < 0 ? '' : block.slice(nl + 1);
+      await sink.init(Papa.parse(headerLine).data[0] || []);
+    }
+    if (!block.trim()) return;
+    const parsed = Papa.parse(headerLine + '\n' + block, { header: true, dynamicTyping: true, skipEmptyLines: true });
+    // Rows Papa complained about (field count mismatch, bad quoting) are rejected as malformed
+    const malformed = new Set(parsed.errors.map(e => e.row).filter(i => i !== undefined));
+    sink.push(parsed.data, malformed);
+  };
+
+  for (let first = true; ; first = false) {
+    const { done, value } = await reader.read();
+    if (first && value && isParquetHeader(value)) {
+      // Extension didn't say so, but the bytes do: switch to the range-based Parquet reader
+      await reader.cancel();
+      return ingestParquet(source, sink, opts, progress);
+    }
+    if (first && value && isTripCacheHeader(value)) {
+      await reader.cancel();
+      return ingestTripCache(source, sink, progress);
+    }
+    if (value) {
+      loaded += value.byteLength;
+      carry += decoder.decode(value, { stream: true });
+    }
+    if (done) carry += decoder.decode();
+    // Only hand complete rows to the parser; keep the remainder for the next chunk
+    const cut = done ? carry.length : rowsEnd();
+    if (cut > 0) {
+      await parseBlock(carry.slice(0, cut));
+      carry = carry.slice(cut);
+      scanned -= cut;
+    }
+    progress(loaded, total);
+    if (done) break;
+  }
+}
@@ -6,10 +6,24 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
-import { loadTrips } from './data/loadTrips.js';
+import { streamTripSources, sourceName, mergeTripBuffers } from './data/loadTrips.js';
+import { FLEET_LABELS, PAYMENT_LABELS } from './data/schemas.js';
+import { REJECT_REASONS, OUTLIER_FLAGS, sampleRatio } from './data/ingestReport.js';
+import { describeSample, SAMPLE_SEED } from './data/sampling.js';
+import { nyMidnight, formatNYDate, formatNYTime, parseNYLocal } from './utils/nyTime.js';
+import { tripCacheKey, clearTripCache } from './data/tripCache.js';
+import { parseViewState, formatViewState } from './utils/urlState.js';
 import { loadNYCMap } from './scene/map.js';
-import { createPool } from './sim/pool.js';
+import { createPool, pickOrb } from './sim/pool.js';
+import { setTrailOptions, TRAIL_DEFAULTS } from './sim/trails.js';
 import { Simulation } from './sim/simulation.js';
+import { compressedStretches } from './sim/timeWarp.js';
+import { reconstructShifts } from './sim/shifts.js';
+import { FILTER_FIELDS, createTripFilter, allOf, setClause, removeClause, describeClause, fieldValues } from './sim/filters.js';
+import { createRegion, createODFilter, summarizeFlow } from './sim/odRegions.js';
+import { createAirportIndex, classifyTrip, airportStats, createAirportCounters } from './sim/airports.js';
+import { createRegionLayer, addRegionMesh, updateRegionMesh, removeRegionMesh, setDraftOutline, REGION_COLORS } from './scene/regions.js';
+import { COLOR_ENCODINGS, SIZE_ENCODINGS, DEFAULT_ENCODING, colorLegend, sizeLegend } from './sim/encodings.js';
 
 const canvas = document.getElementById('bg');
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
@@ -59,38 +73,88 @@ composer.addPass(new ShaderPass(VignetteShader));
 const clockEl = document.getElementById('clock');
 const speedIndicatorEl = document.getElementById('speedIndicator');
 const speedValueEl = document.getElementById('speedValue');
+const speedFactorEl = document.getElementById('speedFactor');
 const tripCounterEl = document.getElementById('tripCounter');
-const tripsStartedEl = document.getElementById('tripsStarted');
 const tripsActiveEl = document.getElementById('tripsActive');
 const tripsCompletedEl = document.getElementById('tripsCompleted');
 const fareTotalValueEl = document.getElementById('fareTotalValue');
+const sampleInfoEl = document.getElementById('sampleInfo');
+const sampleRatioEl = document.getElementById('sampleRatio');
+const sampleNoteEl = document.getElementById('sampleNote');
 const slider = document.getElementById('timeline');
+const timelineDensityEl = document.getElementById('timelineDensity');
+const timeModeSel = document.getElementById('timeMode');
 const playPauseBtn = document.getElementById('playPause');
 const speedSel = document.getElementById('speed');
+const reverseBtn = document.getElementById('reverse');
+const stepBackBtn = document.getElementById('stepBack');
+const stepForwardBtn = document.getElementById('stepForward');
+const stepSizeSel = document.getElementById('stepSize');
 const tooltip = document.getElementById('tooltip');
 const coverageSlider = document.getElementById('coverage');
 const coverageValueEl = document.getElementById('coverageValue');
+const trailStyleSel = document.getElementById('trailStyle');
+const trailLifeSlider = document.getElementById('trailLife');
+const trailLifeValueEl = document.getElementById('trailLifeValue');
+const filterFieldSel = document.getElementById('filterField');
+const filterRangeEl = document.getElementById('filterRange');
+const filterMinInput = document.getElementById('filterMin');
+const filterMaxInput = document.getElementById('filterMax');
+const filterValuesEl = document.getElementById('filterValues');
+const filterApplyBtn = document.getElementById('filterApply');
+const filterChipsEl = document.getElementById('filterChips');
+const filterMatchEl = document.getElementById('filterMatch');
+const drawOriginBtn = document.getElementById('drawOrigin');
+const drawDestinationBtn = document.getElementById('drawDestination');
+const odRegionsEl = document.getElementById('odRegions');
+const odSummaryEl = document.getElementById('odSummary');
+const airportViewBox = document.getElementById('airportView');
+const airportStatsEl = document.getElementById('airportStats');
+const airportCountersEl = document.querySelector('#airportCounters tbody');
+const airportCompareEl = document.getElementById('airportCompare');
+const colorEncodingSel = document.getElementById('colorEncoding');
+const sizeEncodingSel = document.getElementById('sizeEncoding');
+const legendEl = document.getElementById('legend');
+const showShiftsBox = document.getElementById('showShifts');
+const shiftStatsEl = document.getElementById('shiftStats');
+const utilizationEl = document.getElementById('utilization');
+const shiftNoteEl = document.getElementById('shiftNote');
+const loadProgressEl = document.getElementById('loadProgress');
+const loadProgressFillEl = document.getElementById('loadProgressFill');
+const loadProgressTextEl = document.getElementById('loadProgressText');
+const openFileBtn = document.getElementById('openFile');
+const fileInput = document.getElementById('fileInput');
+const ingestPanelEl = document.getElementById('ingestPanel');
+const ingestSummaryEl = document.getElementById('ingestSummary');
+const ingestDetailsEl = document.getElementById('ingestDetails');
+const ingestDownloadBtn = document.getElementById('ingestDownload');
+const exportTripsBtn = document.getElementById('exportTrips');
+const clearTripCacheBtn = document.getElementById('clearTripCache');
+const copyLinkBtn = document.getElementById('copyLink');
 
 let simulation; // will hold Simulation instance
 let mapGroup; // reference to NYCMap group for heat layer
-let tripsCompleted = 0;
-let lastActiveIds = new Set();
 let totalFare = 0; // accumulated fare of completed trips
+let datasetLoad = null; // AbortController for the dataset currently streaming in
+let ingestReport = null; // latest combined ingest report for the loaded dataset
+let timelineBaseMs = null; // epoch ms of simulation time 0: the loaded trips' first New York midnight
+let datasetBuffers = []; // the loaded sources' trips as .nyct buffers (from the ingest workers), for Export
+let countScale = 1; // TAKEN / TALLY multiplier estimating full-dataset totals from a sample
+let hudDirty = true; // counters / fare changed since the HUD was last drawn (set by simulation events)
+let routeDatasetKey = ''; // dataset part of the persistent route cache key (set per load, see routeCache.js)
+let airportIndex = null; // airports.js index over the map's airport outlines (built on first use)
+let airportCounters = null; // live per-airport counters while the airports view is on
+let airportUnsubscribe = []; // offs of the counters' simulation listeners
 
+// Clock text for a simulation time, always in New York local time ('' before trips load)
 function formatTime(sec) {
-  sec = Math.max(0, Math.floor(sec) % 86400);
-  const h = String(Math.floor(sec / 3600)).padStart(2,'0');
-  const m = String(Math.floor(sec % 3600 / 60)).padStart(2,'0');
-  const s = String(Math.floor(sec % 60)).padStart(2,'0');
-  return `${h}:${m}:${s}`;
+  const ms = simulation ? simulation.epochAt(sec) : NaN;
+  return isNaN(ms) ? '' : formatNYTime(ms);
 }
 
-function formatDate(date) {
-  // Returns YYYY-MM-DD
-  const y = date.getFullYear();
-  const m = String(date.getMonth()+1).padStart(2,'0');
-  const d = String(date.getDate()).padStart(2,'0');
-  return `${y}-${m}-${d}`;
+function formatDateTime(sec) {
+  const ms = simulation ? simulation.epochAt(sec) : NaN;
+  return isNaN(ms) ? '' : `${formatNYDate(ms)} ${formatNYTime(ms)}`;
 }
 
 // Raycaster for interaction
@@ -107,13 +171,44 @@ window.addEventListener('pointermove', onPointerMove);
 
 let tooltipTimeout = null;
 
+// Tooltip body: a title, then one line per entry of lines, each a list of [label, value] fields
+function renderTooltip(title, lines) {
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  const nodes = [heading];
+  lines.forEach((fields, i) => {
+    if (i) nodes.push(document.createElement('br'));
+    fields.forEach(([label, value], j) => {
+      const b = document.createElement('b');
+      b.textContent = label + ':';
+      nodes.push(j ? ' · ' : '', b, ' ' + value);
+    });
+  });
+  tooltip.replaceChildren(...nodes);
+}
+
 function showTripTooltip(orb, clientX, clientY) {
   const trip = orb.userData.trip;
   if (!trip) return;
-  const fare = trip.fare.toFixed(2);
+  const fare = Number.isFinite(trip.fare) ? `$${trip.fare.toFixed(2)}` : 'n/a';
   // Only update content and position if not already showing for this orb
   if (tooltip.dataset.tripId !== String(trip.id)) {
-    tooltip.innerHTML = `<h4>Trip</h4><b>Fare:</b> $${fare}<br><b>Passengers:</b> ${trip.passengers}<br><b>Start:</b> ${formatTime(trip.startTime)}<br><b>End:</b> ${formatTime(trip.endTime)}<br><b>Vendor:</b> ${trip.vendor}`;
+    // Values come from the data file (any ?data= URL), so they go in as text, never as markup
+    if (trip.deadhead) {
+      // Empty cruise between two linked trips of a reconstructed shift
+      const idleMin = ((trip.endTime - trip.startTime) / 60).toFixed(1);
+      renderTooltip('Empty cruise', [[['Idle', `${idleMin} min`]], [['Dropoff', formatTime(trip.startTime)]], [['Next pickup', formatTime(trip.endTime)]]]);
+    } else {
+      const payment = [];
+      if (trip.payment) payment.push(['Payment', PAYMENT_LABELS[trip.payment]]);
+      if (trip.tip >= 0) payment.push(['Tip', `$${trip.tip.toFixed(2)}`]);
+      const lines = [[['Fare', fare]], [['Passengers', Number.isFinite(trip.passengers) ? trip.passengers : 'n/a']]];
+      if (payment.length) lines.push(payment);
+      lines.push([['Start', formatTime(trip.startTime)]], [['End', formatTime(trip.endTime)]]);
+      lines.push([[`${trip.fleet ? FLEET_LABELS[trip.fleet] + ' · ' : ''}Vendor`, trip.vendor]]);
+      if (trip.pickupZone) lines.push([['From', trip.pickupZone]], [['To', trip.dropoffZone]]);
+      renderTooltip('Trip', lines);
+    }
     tooltip.style.left = clientX + 'px';
     tooltip.style.top = clientY + 'px';
     tooltip.dataset.tripId = String(trip.id);
@@ -137,11 +232,16 @@ function showTripTooltip(orb, clientX, clientY) {
 // Remove click-based tooltip
 window.addEventListener('keydown', (e) => { if (e.key === 'Escape') tooltip.hidden = true; });
 
-playPauseBtn.addEventListener('click', () => {
+function setPlaying(playing) {
   if (!simulation) return;
-  simulation.playing = !simulation.playing;
+  simulation.playing = playing;
   playPauseBtn.textContent = simulation.playing ? 'Pause' : 'Play';
   playPauseBtn.setAttribute('aria-pressed', simulation.playing);
+}
+
+playPauseBtn.addEventListener('click', () => {
+  if (!simulation) return;
+  setPlaying(!simulation.playing);
 });
 
 slider.addEventListener('input', () => {
@@ -153,12 +253,134 @@ slider.addEventListener('input', () => {
   if (t < minTime) t = minTime;
   if (t > maxTime) t = maxTime;
   simulation.resetTo(t);
+  // Slider values are elapsed seconds, so DST days simply span 23h/25h; label the New York time
+  slider.title = formatDateTime(t);
 });
 
-speedSel.addEventListener('change', () => {
+// Local files: HUD picker or drag-and-drop onto the page (CSV / Parquet, several at once)
+function openLocalFiles(fileList) {
+  const files = [...fileList].filter(f => /\.(csv|parquet|nyct)$/i.test(f.name));
+  if (!files.length) { setStatus('Drop a .csv, .parquet or .nyct trip file'); return; }
+  setStatus('Opening ' + files.map(f => f.name).join(', '));
+  loadDataset(files).catch((e) => {
+    console.error('Dataset load failed', e);
+    setStatus('Load error: ' + e.message);
+  });
+}
+if (openFileBtn && fileInput) {
+  openFileBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length) openLocalFiles(fileInput.files);
+    fileInput.value = ''; // allow re-opening the same file
+  });
+}
+window.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  document.body.classList.add('drop-target');
+});
+window.addEventListener('dragleave', (e) => {
+  if (e.relatedTarget === null) document.body.classList.remove('drop-target');
+});
+window.addEventListener('drop', (e) => {
+  if (!e.dataTransfer || !e.dataTransfer.files.length) return;
+  e.preventDefault();
+  document.body.classList.remove('drop-target');
+  openLocalFiles(e.dataTransfer.files);
+});
+
+// Sign of the playback speed from the Reverse toggle
+const playbackDirection = () => (reverseBtn && reverseBtn.getAttribute('aria-pressed') === 'true' ? -1 : 1);
+
+// speed is signed: the select holds the magnitude, the Reverse toggle the direction
+function setUserSpeed(speed) {
+  const magnitude = Math.abs(speed);
+  // Linked speeds need not be one of the presets
+  if (![...speedSel.options].some(o => Number(o.value) === magnitude)) {
+    const opt = document.createElement('option');
+    opt.value = magnitude;
+    opt.textContent = magnitude + 'x';
+    speedSel.appendChild(opt);
+  }
+  speedSel.value = String(magnitude);
+  if (reverseBtn) reverseBtn.setAttribute('aria-pressed', speed < 0);
   if (!simulation) return;
-  simulation.userSpeed = Number(speedSel.value);
-  if (!simulation.gapAccelActive) simulation.speed = simulation.userSpeed;
+  simulation.userSpeed = speed;
+  // Gap acceleration keeps its boost but follows the new direction
+  simulation.speed = simulation.gapAccelActive ? Math.sign(speed) * Math.abs(simulation.speed) : speed;
+}
+
+speedSel.addEventListener('change', () => setUserSpeed(Number(speedSel.value) * playbackDirection()));
+
+function toggleReverse() {
+  setUserSpeed(-Number(speedSel.value) * playbackDirection());
+}
+if (reverseBtn) reverseBtn.addEventListener('click', toggleReverse);
+
+// 'gap' (accelerate through empty stretches) or 'density' (speed follows the trip density curve)
+function setTimeMode(mode) {
+  if (timeModeSel) timeModeSel.value = mode;
+  if (simulation) simulation.setTimeMode(mode);
+}
+if (timeModeSel) timeModeSel.addEventListener('change', () => setTimeMode(timeModeSel.value));
+
+// Density mode: faint activity bars under the timeline, shaded orange where playback is compressed.
+// Redrawn only when the curve (new trips), the user speed or the slider size changes.
+let drawnDensity = null;
+const TIMELINE_THUMB_INSET = 8; // the range track runs between the thumb centers
+function drawTimelineDensity() {
+  if (!timelineDensityEl) return;
+  const on = !!simulation && simulation.timeMode === 'density' && simulation.trips.length > 0;
+  timelineDensityEl.hidden = !on;
+  if (!on) return;
+  const curve = simulation.densityCurve();
+  const width = slider.clientWidth;
+  const d = drawnDensity;
+  if (d && d.curve === curve && d.speed === simulation.userSpeed && d.width === width) return;
+  drawnDensity = { curve, speed: simulation.userSpeed, width };
+  const dpr = window.devicePixelRatio || 1;
+  const height = timelineDensityEl.clientHeight || 8;
+  timelineDensityEl.width = Math.round(width * dpr);
+  timelineDensityEl.height = Math.round(height * dpr);
+  const ctx = timelineDensityEl.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  const min = Number(slider.min), span = Math.max(1, Number(slider.max) - min);
+  const x = (t) => TIMELINE_THUMB_INSET + (t - min) / span * (width - 2 * TIMELINE_THUMB_INSET);
+  let peak = 1;
+  for (const a of curve.activity) if (a > peak) peak = a;
+  ctx.fillStyle = 'rgba(25,195,255,0.35)';
+  for (let b = 0; b < curve.bins; b++) {
+    const t0 = curve.start + b * curve.binSeconds;
+    const bh = curve.activity[b] / peak * height;
+    if (bh > 0) ctx.fillRect(x(t0), height - bh, Math.max(1, x(t0 + curve.binSeconds) - x(t0)), bh);
+  }
+  ctx.fillStyle = 'rgba(255,149,0,0.45)';
+  for (const run of compressedStretches(curve, simulation.userSpeed)) {
+    ctx.fillRect(x(run.start), 0, Math.max(1, x(run.end) - x(run.start)), height);
+  }
+}
+
+// Step the playhead by the selected interval; pauses so the stepped frame stays put
+function stepBy(direction) {
+  if (!simulation || !simulation.trips.length) return;
+  setPlaying(false);
+  simulation.step(direction * Number(stepSizeSel ? stepSizeSel.value : 15));
+}
+if (stepBackBtn) stepBackBtn.addEventListener('click', () => stepBy(-1));
+if (stepForwardBtn) stepForwardBtn.addEventListener('click', () => stepBy(1));
+
+// Keyboard: , / . step back / forward, R toggles reverse (ignored while typing or picking in a select)
+window.addEventListener('keydown', (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  const tag = e.target && e.target.tagName;
+  if (tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && e.target.type !== 'range')) return;
+  if (e.key === ',') stepBy(-1);
+  else if (e.key === '.') stepBy(1);
+  else if (e.key === 'r' || e.key === 'R') toggleReverse();
+  else return;
+  e.preventDefault();
 });
 
 window.addEventListener('resize', () => {
@@ -197,6 +419,726 @@ function setStatus(m) {
   }, 2500);
 }
 
+// Trip files to load: ?data=a.csv,b.parquet (any mix of fleets) or the bundled subset
+function datasetUrls() {
+  const param = new URLSearchParams(location.search).get('data');
+  const urls = param ? param.split(',').map(u => u.trim()).filter(Boolean) : [];
+  return urls.length ? urls : ['src/geo/subset.csv'];
+}
+
+// Load-time sampling: ?sample=0.1 (fraction kept) &sampleMode=hour|uniform &sampleSeed=N
+function sampleOptions() {
+  const params = new URLSearchParams(location.search);
+  const rate = Number(params.get('sample'));
+  if (!(rate > 0 && rate < 1)) return null;
+  const mode = params.get('sampleMode') === 'uniform' ? 'uniform' : 'hour';
+  const seed = params.has('sampleSeed') ? Number(params.get('sampleSeed')) >>> 0 : SAMPLE_SEED;
+  return { mode, rate, seed };
+}
+
+// Load time range: ?from= / ?to= as New York local dates or times (2024-01-15, 2024-01-15T08:00); pickups in
+// [from, to) are loaded, either end may be left out. Returns [fromMs, toMs] or null.
+function timeRangeOption() {
+  const params = new URLSearchParams(location.search);
+  const from = params.has('from') ? parseNYLocal(params.get('from')) : -Infinity;
+  const to = params.has('to') ? parseNYLocal(params.get('to')) : Infinity;
+  if (isNaN(from) || isNaN(to) || from >= to || (from === -Infinity && to === Infinity)) return null;
+  return [from, to];
+}
+
+// Short label for cache keys, e.g. "2024-01-15 00:00:00–…"; '' without a range
+function describeTimeRange(range) {
+  if (!range) return '';
+  const end = (ms) => isFinite(ms) ? `${formatNYDate(ms)} ${formatNYTime(ms)}` : '…';
+  return `${end(range[0])}–${end(range[1])}`;
+}
+
+// Cap on concurrently drawn trips: ?maxActive=N
+function maxActiveOption() {
+  const n = Number(new URLSearchParams(location.search).get('maxActive'));
+  return n > 0 ? Math.floor(n) : Infinity;
+}
+
+function showLoadProgress(loaded, total) {
+  if (!loadProgressEl) return;
+  loadProgressEl.hidden = false;
+  if (total > 0) {
+    const pct = Math.min(100, loaded / total * 100);
+    loadProgressFillEl.style.width = pct.toFixed(1) + '%';
+    loadProgressTextEl.textContent = Math.floor(pct) + '%';
+  } else {
+    // Unknown size (no Content-Length): show bytes read instead of a percentage
+    loadProgressFillEl.style.width = '100%';
+    loadProgressTextEl.textContent = (loaded / 1048576).toFixed(1) + ' MB';
+  }
+}
+
+function hideLoadProgress() {
+  if (loadProgressEl) loadProgressEl.hidden = true;
+}
+
+// Rows read / accepted / rejected with per-reason counts and outlier flags
+function renderIngestReport(report) {
+  ingestReport = report;
+  renderSampleInfo(report);
+  if (!ingestPanelEl) return;
+  ingestPanelEl.hidden = !report;
+  if (!report) return;
+  const pct = report.rowsRead ? (report.accepted / report.rowsRead * 100).toFixed(1) : '0.0';
+  ingestSummaryEl.textContent = `${report.rowsRead.toLocaleString()} rows · ${report.accepted.toLocaleString()} kept (${pct}%) · ${report.rejected.toLocaleString()} rejected`;
+  if (report.outOfRange) ingestSummaryEl.textContent += ` · ${report.outOfRange.toLocaleString()} outside time range`;
+  if (report.sampledOut) ingestSummaryEl.textContent += ` · ${report.sampledOut.toLocaleString()} sampled out`;
+  ingestDetailsEl.innerHTML = '';
+  const addItem = (label, n, cls) => {
+    const li = document.createElement('li');
+    li.textContent = `${label}: ${n.toLocaleString()}`;
+    if (cls) li.className = cls;
+    ingestDetailsEl.appendChild(li);
+  };
+  for (const k in report.rejectReasons) addItem(REJECT_REASONS[k] || k, report.rejectReasons[k]);
+  for (const k in report.outliers) addItem(OUTLIER_FLAGS[k] || k, report.outliers[k], 'outlier');
+}
+
+// Sample ratio from the report (loaded / accepted); counters are scaled back up by its inverse
+function renderSampleInfo(report) {
+  const ratio = sampleRatio(report);
+  countScale = ratio > 0 ? 1 / ratio : 1;
+  hudDirty = true;
+  if (!sampleInfoEl) return;
+  sampleInfoEl.hidden = ratio >= 1;
+  if (ratio >= 1) return;
+  sampleRatioEl.textContent = `${(ratio * 100).toFixed(ratio < 0.01 ? 2 : 1)}%`;
+  sampleNoteEl.textContent = `TAKEN / TALLY est. ×${countScale.toFixed(1)}`;
+}
+
+function downloadIngestReport() {
+  if (!ingestReport) return;
+  const json = JSON.stringify({ generatedAt: new Date().toISOString(), ...ingestReport }, null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'ingest-report.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+if (ingestDownloadBtn) ingestDownloadBtn.addEventListener('click', downloadIngestReport);
+
+// Binary trip cache: ?cache=0 skips both reading and writing the IndexedDB copy
+function tripCacheEnabled() {
+  return new URLSearchParams(location.search).get('cache') !== '0';
+}
+
+// Save the loaded trips as .nyct: the per-source buffers the ingest workers encoded, merged in a worker
+// when there are several
+async function exportTrips() {
+  if (!simulation || !simulation.allTrips.length || !datasetBuffers.length) { setStatus('No trips loaded'); return; }
+  let buffer = datasetBuffers[0];
+  if (datasetBuffers.length > 1) {
+    setStatus('Preparing export...');
+    try {
+      buffer = await mergeTripBuffers(datasetBuffers, { sources: ingestReport && ingestReport.sources ? ingestReport.sources.map(r => r.source) : [], report: ingestReport });
+    } catch (e) {
+      setStatus('Export failed: ' + e.message);
+      return;
+    }
+  }
+  const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'trips.nyct';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+if (exportTripsBtn) exportTripsBtn.addEventListener('click', exportTrips);
+if (clearTripCacheBtn) clearTripCacheBtn.addEventListener('click', () => {
+  clearTripCache()
+    .then(() => setStatus('Trip cache cleared'))
+    .catch(e => setStatus('Clearing the trip cache failed: ' + e.message));
+});
+
+// Comet tail length in simulated seconds when the comet style is picked
+const COMET_TAIL = 180;
+
+// Trail style / fade lifetime from the Trails panel (shader uniforms, so changes apply to every live trail)
+function trailOptions() {
+  const lifetime = trailLifeSlider ? Number(trailLifeSlider.value) : TRAIL_DEFAULTS.lifetime;
+  const comet = trailStyleSel && trailStyleSel.value === 'comet' ? COMET_TAIL : 0;
+  return { lifetime, comet };
+}
+function applyTrailOptions() {
+  const opts = trailOptions();
+  if (trailLifeValueEl) trailLifeValueEl.textContent = opts.lifetime + 's';
+  if (simulation) setTrailOptions(simulation.trails, opts);
+}
+if (trailStyleSel) trailStyleSel.addEventListener('change', applyTrailOptions);
+if (trailLifeSlider) trailLifeSlider.addEventListener('input', applyTrailOptions);
+
+// Filter panel: one clause per trip field (filters.js), shown as removable chips. Applying re-queries the loaded
+// trips in place: orbs, counters, tally and timeline bounds follow without reloading data.
+let tripFilters = [];
+
+if (filterFieldSel) {
+  for (const [key, field] of Object.entries(FILTER_FIELDS)) filterFieldSel.add(new Option(field.label, key));
+}
+
+// Show the editor for the selected field, prefilled from its current clause
+function renderFilterEditor() {
+  if (!filterFieldSel) return;
+  const key = filterFieldSel.value;
+  const field = FILTER_FIELDS[key];
+  const clause = tripFilters.find(c => c.field === key);
+  const range = field.type === 'range';
+  filterRangeEl.hidden = !range;
+  filterValuesEl.hidden = range;
+  if (range) {
+    for (const input of [filterMinInput, filterMaxInput]) {
+      input.step = field.step || 'any';
+      input.min = field.min ?? '';
+      input.max = field.max ?? '';
+    }
+    filterMinInput.value = clause && clause.min != null ? clause.min : '';
+    filterMaxInput.value = clause && clause.max != null ? clause.max : '';
+  } else {
+    // Values present in the loaded trips, most common first
+    const selected = new Set(clause ? clause.values.map(String) : []);
+    filterValuesEl.textContent = '';
+    const values = fieldValues(simulation ? simulation.allTrips : [], key);
+    if (!values.length) filterValuesEl.textContent = 'No values loaded';
+    for (const { value, label, count } of values) {
+      const item = document.createElement('label');
+      item.title = `${count.toLocaleString()} trips`;
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = String(value);
+      cb.checked = selected.has(String(value));
+      item.append(cb, label);
+      filterValuesEl.append(item);
+    }
+  }
+  filterApplyBtn.textContent = clause ? 'Update' : 'Add';
+}
+
+// Clause from the editor; null when it doesn't restrict anything (applying it removes the field's filter)
+function readFilterEditor() {
+  const key = filterFieldSel.value;
+  if (FILTER_FIELDS[key].type === 'range') {
+    const bound = (input) => (input.value === '' || !Number.isFinite(Number(input.value)) ? null : Number(input.value));
+    const min = bound(filterMinInput), max = bound(filterMaxInput);
+    return min === null && max === null ? null : { field: key, min, max };
+  }
+  const values = [...filterValuesEl.querySelectorAll('input:checked')].map(cb => cb.value);
+  return values.length ? { field: key, values } : null;
+}
+
+function renderFilterChips() {
+  if (!filterChipsEl) return;
+  filterChipsEl.textContent = '';
+  const chip = (text, title, onRemove) => {
+    const el = document.createElement('span');
+    el.className = 'filter-chip';
+    el.textContent = text;
+    el.title = title;
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove filter ${text}`);
+    remove.addEventListener('click', (e) => { e.stopPropagation(); onRemove(); });
+    el.append(remove);
+    return el;
+  };
+  for (const clause of tripFilters) {
+    const el = chip(describeClause(clause), 'Edit this filter', () => setTripFilters(removeClause(tripFilters, clause.field)));
+    el.addEventListener('click', () => { filterFieldSel.value = clause.field; renderFilterEditor(); });
+    filterChipsEl.append(el);
+  }
+  if (tripFilters.length > 1) {
+    const clear = document.createElement('span');
+    clear.className = 'filter-chip clear';
+    clear.textContent = 'Clear all';
+    clear.addEventListener('click', () => setTripFilters([]));
+    filterChipsEl.append(clear);
+  }
+}
+
+function setTripFilters(clauses) {
+  tripFilters = clauses;
+  renderFilterChips();
+  renderFilterEditor();
+  applyTripFilter();
+}
+
+// Field filters and OD regions combined
+function currentTripFilter() {
+  return allOf(createTripFilter(tripFilters), createODFilter(odRegions));
+}
+
+function applyTripFilter() {
+  if (!simulation) return;
+  simulation.setFilter(currentTripFilter());
+  // Shifts are linked over the trips shown
+  if (showShiftsBox && showShiftsBox.checked) applyShifts();
+  renderODSummary();
+  renderAirportStats();
+}
+
+if (filterFieldSel) filterFieldSel.addEventListener('change', renderFilterEditor);
+if (filterApplyBtn) {
+  filterApplyBtn.addEventListener('click', () => {
+    const clause = readFilterEditor();
+    setTripFilters(clause ? setClause(tripFilters, clause) : removeClause(tripFilters, filterFieldSel.value));
+  });
+}
+renderFilterEditor();
+
+// OD panel: origin / destination regions drawn on the ground plane (odRegions.js) restrict playback to the flow
+// between them. `+ Origin` / `+ Destination` arm drawing: drag a lasso, or click polygon corners and close with a
+// double-click, Enter or a click on the first corner. Esc cancels.
+let odRegions = [];
+let nextRegionId = 1;
+const regionLayer = createRegionLayer();
+scene.add(regionLayer.group);
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const LASSO_SPACING = 6; // px between recorded lasso points
+const CLOSE_DISTANCE = 10; // px from the first corner that closes a polygon
+let drawRole = null; // 'origin' | 'destination' while drawing
+let draft = null; // { points: [[x, z]], screen: [[px, py]], lasso, down: { x, y } | null }
+
+function groundPointAt(clientX, clientY) {
+  const ndc = new THREE.Vector2((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+  raycaster.setFromCamera(ndc, camera);
+  const hit = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3());
+  return hit ? [hit.x, hit.z] : null;
+}
+
+function setDrawRole(role) {
+  drawRole = role;
+  draft = null;
+  setDraftOutline(regionLayer, null);
+  // Orbit drags would fight the lasso
+  controls.enabled = !role;
+  renderer.domElement.style.cursor = role ? 'crosshair' : '';
+  if (drawOriginBtn) drawOriginBtn.setAttribute('aria-pressed', role === 'origin');
+  if (drawDestinationBtn) drawDestinationBtn.setAttribute('aria-pressed', role === 'destination');
+  if (role) setStatus(`Draw ${role}: drag a lasso, or click corners and double-click / Enter to close (Esc cancels)`);
+}
+
+function finishDraft() {
+  const role = drawRole;
+  const points = draft ? draft.points : [];
+  setDrawRole(null);
+  if (points.length < 3) return;
+  const region = createRegion(points, role, nextRegionId++);
+  odRegions.push(region);
+  addRegionMesh(regionLayer, region);
+  renderRegionChips();
+  applyTripFilter();
+}
+
+function removeRegion(id) {
+  odRegions = odRegions.filter(r => r.id !== id);
+  removeRegionMesh(regionLayer, id);
+  renderRegionChips();
+  applyTripFilter();
+}
+
+function toggleRegionRole(region) {
+  region.role = region.role === 'origin' ? 'destination' : 'origin';
+  updateRegionMesh(regionLayer, region);
+  renderRegionChips();
+  applyTripFilter();
+}
+
+function renderRegionChips() {
+  if (!odRegionsEl) return;
+  odRegionsEl.textContent = '';
+  for (const region of odRegions) {
+    const el = document.createElement('span');
+    el.className = 'filter-chip';
+    el.title = 'Click to switch between origin and destination';
+    const swatch = document.createElement('i');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = '#' + REGION_COLORS[region.role].toString(16).padStart(6, '0');
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove region ${region.id}`);
+    remove.addEventListener('click', (e) => { e.stopPropagation(); removeRegion(region.id); });
+    el.append(swatch, `${region.role === 'origin' ? 'Origin' : 'Destination'} ${region.id}`, remove);
+    el.addEventListener('click', () => toggleRegionRole(region));
+    odRegionsEl.append(el);
+  }
+}
+
+// Count / median fare / median duration of the trips in the selected flow (after the field filters too)
+function renderODSummary() {
+  if (!odSummaryEl) return;
+  odSummaryEl.hidden = !odRegions.length || !simulation;
+  if (odSummaryEl.hidden) return;
+  const { count, medianFare, medianDuration } = summarizeFlow(simulation.trips);
+  const fare = isNaN(medianFare) ? '–' : '$' + medianFare.toFixed(2);
+  const minutes = isNaN(medianDuration) ? '–' : (medianDuration / 60).toFixed(1) + ' min';
+  odSummaryEl.textContent = `${Math.round(count * countScale).toLocaleString()} trips · median ${fare} · ${minutes}`;
+}
+
+const canvasEl = renderer.domElement;
+canvasEl.addEventListener('pointerdown', (e) => {
+  if (!drawRole || e.button !== 0) return;
+  const p = groundPointAt(e.clientX, e.clientY);
+  if (!p) return;
+  if (!draft) draft = { points: [], screen: [], lasso: false, down: null };
+  const first = draft.screen[0];
+  if (!draft.lasso && draft.points.length >= 3 && Math.hypot(e.clientX - first[0], e.clientY - first[1]) < CLOSE_DISTANCE) {
+    finishDraft();
+    return;
+  }
+  draft.down = { x: e.clientX, y: e.clientY };
+  draft.points.push(p);
+  draft.screen.push([e.clientX, e.clientY]);
+  canvasEl.setPointerCapture(e.pointerId);
+  setDraftOutline(regionLayer, draft.points);
+});
+canvasEl.addEventListener('pointermove', (e) => {
+  if (!drawRole || !draft) return;
+  const p = groundPointAt(e.clientX, e.clientY);
+  if (!p) return;
+  // Dragging away from the first press turns the draft into a lasso
+  if (draft.down && draft.points.length === 1 && Math.hypot(e.clientX - draft.down.x, e.clientY - draft.down.y) > LASSO_SPACING) draft.lasso = true;
+  const last = draft.screen[draft.screen.length - 1];
+  if (draft.lasso && draft.down && Math.hypot(e.clientX - last[0], e.clientY - last[1]) >= LASSO_SPACING) {
+    draft.points.push(p);
+    draft.screen.push([e.clientX, e.clientY]);
+  }
+  // Polygon corners: rubber-band to the cursor
+  setDraftOutline(regionLayer, draft.lasso ? draft.points : [...draft.points, p]);
+});
+canvasEl.addEventListener('pointerup', () => {
+  if (!drawRole || !draft) return;
+  draft.down = null;
+  if (draft.lasso) finishDraft();
+});
+canvasEl.addEventListener('dblclick', () => {
+  if (!drawRole || !draft) return;
+  // The double-click's two presses added the same corner twice
+  draft.points.pop();
+  finishDraft();
+});
+window.addEventListener('keydown', (e) => {
+  if (!drawRole) return;
+  if (e.key === 'Escape') { setDrawRole(null); setStatus('Region drawing cancelled'); }
+  else if (e.key === 'Enter') finishDraft();
+  else return;
+  e.preventDefault();
+});
+const armDrawing = (role) => setDrawRole(drawRole === role ? null : role);
+if (drawOriginBtn) drawOriginBtn.addEventListener('click', () => armDrawing('origin'));
+if (drawDestinationBtn) drawDestinationBtn.addEventListener('click', () => armDrawing('destination'));
+
+// Encoding panel: trip fields driving orb / trail color and orb size (encodings.js), with a legend
+function fillEncodingOptions(sel, encodings, selected) {
+  if (!sel) return;
+  for (const [key, enc] of Object.entries(encodings)) sel.add(new Option(enc.label, key, false, key === selected));
+}
+fillEncodingOptions(colorEncodingSel, COLOR_ENCODINGS, DEFAULT_ENCODING.color);
+fillEncodingOptions(sizeEncodingSel, SIZE_ENCODINGS, DEFAULT_ENCODING.size);
+
+function encodingOptions() {
+  return {
+    color: colorEncodingSel ? colorEncodingSel.value : DEFAULT_ENCODING.color,
+    size: sizeEncodingSel ? sizeEncodingSel.value : DEFAULT_ENCODING.size
+  };
+}
+
+const cssColor = (c) => '#' + c.toString(16).padStart(6, '0');
+
+function renderLegend({ color, size }) {
+  if (!legendEl) return;
+  const legend = colorLegend(color);
+  let html;
+  if (legend.type === 'category') {
+    html = '<div class="legend-items">' + legend.items.map(item => `<span><i class="legend-swatch" style="background:${cssColor(item.color)}"></i>${item.label}</span>`).join('') + '</div>';
+  } else {
+    const stops = legend.stops.map(cssColor).join(',');
+    html = `<div class="legend-ramp" style="background:linear-gradient(to right,${stops})"></div>`
+      + `<div class="legend-range"><span>${legend.min}</span><span>${legend.max}</span></div>`
+      + (legend.note ? `<div class="sample-note">${legend.note}</div>` : '');
+  }
+  const sizing = sizeLegend(size);
+  html += `<div class="legend-size">Size: ${sizing.title}${sizing.domain ? ` (${sizing.domain[0]}–${sizing.domain[1]})` : ''}</div>`;
+  if (airportCounters) html += '<div class="sample-note">Airports view: airport runs use their airport\'s color, other trips are dimmed</div>';
+  legendEl.innerHTML = html;
+}
+
+// Known keys only (from the selects or a shared link); restyles what is already on screen
+function setEncoding({ color, size }) {
+  if (color in COLOR_ENCODINGS && colorEncodingSel) colorEncodingSel.value = color;
+  if (size in SIZE_ENCODINGS && sizeEncodingSel) sizeEncodingSel.value = size;
+  const opts = encodingOptions();
+  renderLegend(opts);
+  if (simulation) simulation.setEncoding(opts);
+}
+if (colorEncodingSel) colorEncodingSel.addEventListener('change', () => setEncoding(encodingOptions()));
+if (sizeEncodingSel) sizeEncodingSel.addEventListener('change', () => setEncoding(encodingOptions()));
+renderLegend(encodingOptions());
+
+// Shifts panel: link dropoffs to next pickups (shifts.js), draw the empty cruising legs and report utilization.
+// Re-run when a dataset finishes loading.
+function applyShifts() {
+  if (!simulation) return;
+  const on = !!showShiftsBox && showShiftsBox.checked && simulation.trips.length > 0;
+  if (shiftStatsEl) shiftStatsEl.hidden = !on;
+  if (!on) { simulation.setDeadheads(null); return; }
+  const result = reconstructShifts(simulation.trips);
+  simulation.setDeadheads(result.legs);
+  if (utilizationEl) utilizationEl.textContent = isNaN(result.utilization) ? '–' : Math.round(result.utilization * 100) + '%';
+  if (shiftNoteEl) {
+    // A sample drops most of each vehicle's trips, so fewer links are found
+    shiftNoteEl.textContent = `${result.shifts.toLocaleString()} shifts${countScale > 1 ? ' · sampled, links sparse' : ''}`;
+  }
+}
+if (showShiftsBox) showShiftsBox.addEventListener('change', applyShifts);
+
+// Airports panel: trips picked up / dropped off inside the JFK and LaGuardia outlines (airports.js) are drawn in
+// their airport's color while everything else dims. Counters per airport and direction follow the simulation's
+// trip events; averages compare airport runs with all trips shown.
+
+function applyAirportView() {
+  for (const off of airportUnsubscribe) off();
+  airportUnsubscribe = [];
+  airportCounters = null;
+  const on = !!airportViewBox && airportViewBox.checked && !!simulation;
+  if (!on) {
+    if (airportStatsEl) airportStatsEl.hidden = true;
+    if (simulation) simulation.setHighlight(null);
+    renderLegend(encodingOptions());
+    return;
+  }
+  if (!airportIndex) {
+    airportIndex = createAirportIndex(mapGroup && mapGroup.userData.landmarks);
+    if (!airportIndex.airports.length) {
+      airportIndex = null;
+      airportViewBox.checked = false;
+      setStatus('Airport outlines are not loaded');
+      return;
+    }
+  }
+  const colors = {};
+  for (const a of airportIndex.airports) colors[a.key] = a.color;
+  simulation.setHighlight((trip) => {
+    const c = classifyTrip(airportIndex, trip);
+    return colors[c.pickup ?? c.dropoff] ?? null;
+  });
+  airportCounters = createAirportCounters(airportIndex);
+  const seed = () => airportCounters.seed(simulation.startedTrips(), simulation.completedTrips());
+  seed();
+  airportUnsubscribe = [
+    simulation.on('tripstart', airportCounters.onTripStart),
+    simulation.on('tripend', airportCounters.onTripEnd),
+    simulation.on('seek', seed)
+  ];
+  airportStatsEl.hidden = false;
+  renderAirportStats();
+  renderLegend(encodingOptions());
+  hudDirty = true;
+}
+if (airportViewBox) airportViewBox.addEventListener('change', applyAirportView);
+
+// Live counter rows (redrawn with the HUD counters)
+function renderAirportCounters() {
+  if (!airportCounters || !airportCountersEl) return;
+  const n = (v) => Math.round(v * countScale).toLocaleString();
+  airportCountersEl.textContent = '';
+  for (const a of airportIndex.airports) {
+    const { pickup, dropoff } = airportCounters.counts[a.key];
+    const row = airportCountersEl.insertRow();
+    const name = row.insertCell();
+    const swatch = document.createElement('i');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = cssColor(a.color);
+    name.append(swatch, a.label);
+    row.insertCell().textContent = n(pickup.started);
+    row.insertCell().textContent = n(dropoff.started);
+    row.insertCell().textContent = (pickup.started - pickup.completed) + (dropoff.started - dropoff.completed);
+  }
+}
+
+// Mean fare / duration of airport runs against every trip shown (recomputed when the trip set changes)
+function renderAirportStats() {
+  if (!airportCounters || !airportCompareEl) return;
+  const stats = airportStats(airportIndex, simulation.trips);
+  const fmt = (s) => `${isNaN(s.meanFare) ? '–' : '$' + s.meanFare.toFixed(2)} · ${isNaN(s.meanDuration) ? '–' : (s.meanDuration / 60).toFixed(1) + ' min'}`;
+  airportCompareEl.textContent = `Airport runs ${fmt(stats.airport)} vs city ${fmt(stats.city)}`;
+  airportCompareEl.title = airportIndex.airports.map(a => `${a.label}: ${stats.byAirport[a.key].count.toLocaleString()} trips, ${fmt(stats.byAirport[a.key])}`).join('\n');
+}
+
+// Create pool + simulation for the first batch of trips and sync the timeline UI to it
+function startSimulation(trips) {
+  setStatus('Allocating pool...');
+  // One instanced mesh for all orbs; it grows on demand, so start with room for a typical busy moment
+  const pool = createPool(Math.min(trips.length, 512, maxActiveOption()));
+  scene.add(pool.group);
+  setStatus('Starting simulation...');
+  simulation = new Simulation(scene, pool, trips);
+  simulation.setRouteDataset(routeDatasetKey, { persist: tripCacheEnabled() });
+  simulation.maxActive = maxActiveOption();
+  simulation.setFilter(currentTripFilter());
+  bindHud(simulation);
+  setTrailOptions(simulation.trails, trailOptions());
+  simulation.setEncoding(encodingOptions());
+  if (airportViewBox && airportViewBox.checked) applyAirportView();
+  simulation.userSpeed = simulation.speed = Number(speedSel.value) * playbackDirection();
+  simulation.setTimeMode(timeModeSel ? timeModeSel.value : 'gap');
+  // Initialize slider to exact first trip start time so UI reflects simulation baseline immediately
+  if (trips.length) {
+    const firstStart = Math.floor(trips[0].startTime);
+    const lastEnd = Math.floor(trips[trips.length - 1].endTime);
+    slider.min = firstStart;
+    slider.max = lastEnd;
+    slider.value = firstStart;
+    // Pre-populate clock once (animate will keep updating)
+    clockEl.textContent = formatDateTime(firstStart);
+  }
+}
+
+const fareOf = (trip) => (Number.isFinite(trip.fare) ? trip.fare : 0); // trips without a fare (FHV) add nothing
+
+// HUD counters, fare tally and status messages follow the simulation's events (no per-frame trip scans)
+function bindHud(sim) {
+  sim.on('tripstart', () => { hudDirty = true; });
+  sim.on('tripend', (e) => {
+    // Crossing a dropoff backwards (reverse / step back / filter) takes its fare off the tally again
+    totalFare += e.direction * fareOf(e.trip);
+    hudDirty = true;
+    if (e.direction > 0 && (e.cause === 'playback' || e.cause === 'step')) {
+      const address = e.trip.destinationLabel || e.trip.dropoffAddress || e.trip.dropoff || 'Trip End';
+      setStatus(Number.isFinite(e.trip.fare) ? `Dropoff: ${address} - $${e.trip.fare.toFixed(2)}` : `Dropoff: ${address}`);
+    }
+  });
+  // A seek reports no crossings: the tally is summed again over the trips completed by the new time
+  sim.on('seek', () => {
+    totalFare = 0;
+    for (const trip of sim.completedTrips()) totalFare += fareOf(trip);
+    hudDirty = true;
+  });
+  sim.on('filter', () => { hudDirty = true; });
+  sim.on('gapaccelstart', (e) => {
+    setStatus(`${sim.userSpeed < 0 ? 'Rewinding' : 'Fast-forwarding'} ${e.dayTransition ? 'to the next day' : 'through a quiet stretch'}`);
+  });
+  sim.on('daychange', (e) => { if (e.previousDayStart !== null) setStatus(formatNYDate(e.dayStart)); });
+  sim.on('ended', (e) => {
+    setPlaying(false);
+    setStatus(e.direction > 0 ? 'End of trips' : 'Start of trips');
+  });
+}
+
+// Redraw the trip counters and fare tally (TAKEN / TALLY scaled to full-dataset estimates when sampled)
+function renderCounters() {
+  hudDirty = false;
+  // ACTIVE counts capped (undrawn) trips too
+  const activeCount = simulation.active.length + simulation.cappedTrips.length;
+  if (tripsActiveEl) tripsActiveEl.textContent = activeCount;
+  if (tripsCompletedEl) tripsCompletedEl.textContent = Math.round(simulation.completedCount * countScale);
+  if (fareTotalValueEl) fareTotalValueEl.textContent = (totalFare * countScale).toFixed(2);
+  renderAirportCounters();
+  if (filterMatchEl) filterMatchEl.textContent = simulation.filter ? `${simulation.trips.length.toLocaleString()} of ${simulation.allTrips.length.toLocaleString()}` : '';
+}
+
+// Tear down whatever is loaded and stream a new dataset (URLs and/or local Files) onto a fresh
+// pool / simulation / timeline. A newer call aborts an older one that is still streaming.
+async function loadDataset(sources) {
+  if (datasetLoad) datasetLoad.abort();
+  setDatasetParam(sources);
+  const load = new AbortController();
+  datasetLoad = load;
+  teardownSimulation();
+  datasetBuffers = [];
+  renderIngestReport(null);
+  setStatus('Loading trips...');
+  // Trips stream in from a worker; the simulation starts on the first parsed batch and later
+  // batches are merged into the running timeline.
+  timelineBaseMs = null;
+  const rebase = (batch) => {
+    // Convert per-day relative start/end (seconds since that day's midnight) into a single
+    // continuous absolute timeline measured in seconds from the first trip's New York midnight.
+    // This preserves chronological ordering across multiple days and fixes the issue where
+    // re-sorting purely by startTime (seconds-of-day) jumbled dates.
+    if (timelineBaseMs === null) timelineBaseMs = nyMidnight(batch[0].pickupTimestamp);
+    for (const trip of batch) {
+      const duration = trip.endTime - trip.startTime; // original same-day duration
+      // Absolute seconds from base midnight
+      const absStart = (trip.pickupTimestamp - timelineBaseMs) / 1000;
+      trip.startTime = absStart;
+      trip.endTime = absStart + duration;
+    }
+    batch.sort((a,b) => a.startTime - b.startTime);
+  };
+  const fleetsSeen = new Set();
+  let fleetColorsApplied = false;
+  const onBatch = (batch) => {
+    if (!batch.length || load.signal.aborted) return;
+    rebase(batch);
+    for (const trip of batch) fleetsSeen.add(trip.fleet);
+    if (!simulation) {
+      startSimulation(batch);
+      simulation.streaming = true;
+    } else {
+      simulation.addTrips(batch);
+    }
+    // Switch to fleet colors once a second fleet shows up, unless another color encoding was picked
+    if (fleetsSeen.size > 1 && !fleetColorsApplied) {
+      fleetColorsApplied = true;
+      if (encodingOptions().color === DEFAULT_ENCODING.color) setEncoding({ color: 'fleet' });
+    }
+  };
+  const sample = sampleOptions();
+  const timeRange = timeRangeOption();
+  // Routes depend on the trips' endpoints, not on sampling: every sample of a dataset shares its route cache
+  routeDatasetKey = tripCacheKey(sources);
+  showLoadProgress(0, 0);
+  const onReport = (report) => { if (!load.signal.aborted) renderIngestReport(report); };
+  // A previously parsed copy of a source in IndexedDB skips parsing and projection (.nyct sources already do)
+  const cache = tripCacheEnabled() ? [describeTimeRange(timeRange), describeSample(sample)].filter(Boolean).join(' ') : null;
+  const results = await streamTripSources(sources, { onBatch, onProgress: showLoadProgress, onReport, signal: load.signal, sample, timeRange, cache });
+  if (load.signal.aborted) return; // superseded by a newer dataset
+  datasetLoad = null;
+  datasetBuffers = results.filter(r => r.buffer).map(r => r.buffer);
+  for (const r of results) if (r.error) console.error('Trip load failed:', sourceName(r.source), r.error);
+  const failed = results.filter(r => r.error).length;
+  if (failed) setStatus(simulation ? `Trip load failed for ${failed} of ${results.length} files; showing partial set` : 'Trip load failed; using empty set');
+  hideLoadProgress();
+  if (!simulation) startSimulation([]);
+  simulation.streaming = false;
+  if (!failed && results.every(r => r.cached)) setStatus(`Loaded ${simulation.allTrips.length.toLocaleString()} trips from cache`);
+  if (showShiftsBox && showShiftsBox.checked) applyShifts();
+  renderFilterEditor(); // value lists of the loaded trips
+  renderODSummary();
+  renderAirportStats();
+}
+
+// Dispose the current simulation (orbs, trails, labels) and reset HUD state for the next dataset
+function teardownSimulation() {
+  if (!simulation) return;
+  simulation.dispose();
+  simulation = null;
+  hoverOrb = null;
+  drawnDensity = null;
+  if (shiftStatsEl) shiftStatsEl.hidden = true;
+  if (odSummaryEl) odSummaryEl.hidden = true;
+  airportUnsubscribe = [];
+  airportCounters = null;
+  if (airportStatsEl) airportStatsEl.hidden = true;
+  tooltip.hidden = true;
+  tooltip.dataset.tripId = '';
+  totalFare = 0;
+  hudDirty = true;
+  if (fareTotalValueEl) fareTotalValueEl.textContent = totalFare.toFixed(2);
+  if (tripsActiveEl) tripsActiveEl.textContent = 0;
+  if (tripsCompletedEl) tripsCompletedEl.textContent = 0;
+  slider.min = 0;
+  slider.max = 86400;
+  slider.value = 0;
+  clockEl.textContent = '00:00:00';
+  playPauseBtn.textContent = 'Pause';
+  playPauseBtn.setAttribute('aria-pressed', true);
+}
+
 async function init() {
   // Debug: Show camera and pan position in status bar every second
   // setInterval(() => {
@@ -206,6 +1148,14 @@ async function init() {
   //     `Camera: (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)}) | Pan: (${tgt.x.toFixed(2)}, ${tgt.y.toFixed(2)}, ${tgt.z.toFixed(2)})`
   //   );
   // }, 1000);
+  // State from a shared link: camera and coverage apply before the map builds, the rest once trips are in
+  const linked = parseViewState(location.hash);
+  applyCameraState(linked);
+  if (linked.coverage != null && coverageSlider) {
+    coverageSlider.value = linked.coverage;
+    if (coverageValueEl) coverageValueEl.textContent = Math.round(linked.coverage*100)+'%';
+  }
+  if (linked.speed != null) setUserSpeed(linked.speed);
   try {
     setStatus('Loading map...');
   mapGroup = await loadNYCMap(scene, { coverageFactor: coverageSlider ? Number(coverageSlider.value) : 1 });
@@ -223,19 +1173,13 @@ async function init() {
           const cb = document.createElement('input');
           cb.type = 'checkbox';
           cb.id = id;
+          cb.dataset.roadType = rt.type;
           cb.checked = rt.enabled;
           cb.addEventListener('change', () => {
             if (mapGroup.userData.toggleRoadType) {
               mapGroup.userData.toggleRoadType(rt.type, cb.checked);
-              // Invalidate cached paths for future trips (existing paths remain)
-              if (simulation && simulation.trips) {
-                for (const trip of simulation.trips) {
-                  // Only clear if trip not yet started
-                  if (!trip._started) {
-                    delete trip._path; delete trip._segLengths; delete trip._totalLength;
-                  }
-                }
-              }
+              // Route future trips on the new graph (paths on screen remain)
+              if (simulation) simulation.setRouter(mapGroup.userData.roadRouter);
             }
           });
           wrap.appendChild(cb);
@@ -246,58 +1190,103 @@ async function init() {
         }
       }
     }
-    setStatus('Loading trips...');
-    let trips = [];
-    try {
-      trips = await loadTrips();
-    } catch (e) {
-      console.error('Trip load failed:', e);
-      setStatus('Trip load failed; using empty set');
-      trips = [];
-    }
-    // Convert per-day relative start/end (seconds since that day's midnight) into a single
-    // continuous absolute timeline measured in seconds from the first trip's midnight.
-    // This preserves chronological ordering across multiple days and fixes the issue where
-    // re-sorting purely by startTime (seconds-of-day) jumbled dates.
-    if (Array.isArray(trips) && trips.length > 0) {
-      // Base midnight
-      const baseMidnight = new Date(trips[0].pickupDate);
-      baseMidnight.setHours(0,0,0,0);
-      const baseMs = baseMidnight.getTime();
-      for (const trip of trips) {
-        const duration = trip.endTime - trip.startTime; // original same-day duration
-        // Absolute seconds from base midnight
-        const absStart = (trip.pickupTimestamp - baseMs) / 1000;
-        trip.startTime = absStart;
-        trip.endTime = absStart + duration;
-      }
-      trips.sort((a,b) => a.startTime - b.startTime);
-    }
-  setStatus('Allocating pool...');
-  const pool = createPool(trips.length);
-  pool.forEach(o => scene.add(o));
-    setStatus('Starting simulation...');
-  simulation = new Simulation(scene, pool, trips);
-  // Initialize slider to exact first trip start time so UI reflects simulation baseline immediately
-  if (trips.length) {
-    const firstStart = Math.floor(trips[0].startTime);
-    const lastEnd = Math.floor(trips[trips.length - 1].endTime);
-    slider.min = firstStart;
-    slider.max = lastEnd;
-    slider.value = firstStart;
-    // Pre-populate clock once (animate will keep updating)
-    if (trips[0].pickupDate instanceof Date && !isNaN(trips[0].pickupDate)) {
-      clockEl.textContent = `${formatDate(trips[0].pickupDate)} ${formatTime(firstStart)}`;
-    } else {
-      clockEl.textContent = formatTime(firstStart);
-    }
-  }
+    await loadDataset(datasetUrls());
+    applyViewState(linked);
   setStatus('Simulation running');
   setStatus('Mouse: Camera angle, +SHIFT key to pan');
   } catch (e) {
     console.error('Init failed', e);
     setStatus('Init error: ' + e.message);
   }
+  viewStateReady = true;
+}
+
+// --- Deep links: view state is mirrored into the URL hash (see urlState.js), the dataset into ?data= ---
+let viewStateReady = false; // don't overwrite a linked hash before it has been restored
+let datasetShareable = true; // false once local files are loaded (they can't be referenced by URL)
+
+const roadFilterBoxes = () => [...document.querySelectorAll('#roadFilters input[type=checkbox]')];
+
+function captureViewState() {
+  const boxes = roadFilterBoxes();
+  return {
+    timeMs: simulation && timelineBaseMs !== null ? timelineBaseMs + simulation.simulationTime * 1000 : null,
+    speed: simulation ? simulation.userSpeed : Number(speedSel.value),
+    playing: simulation ? simulation.playing : null,
+    timeMode: timeModeSel ? timeModeSel.value : null,
+    ...encodingOptions(),
+    camera: camera.position.toArray(),
+    target: controls.target.toArray(),
+    coverage: coverageSlider ? Number(coverageSlider.value) : null,
+    roads: boxes.length ? boxes.filter(cb => cb.checked).map(cb => cb.dataset.roadType) : null
+  };
+}
+
+function applyCameraState(state) {
+  if (state.camera) camera.position.fromArray(state.camera);
+  if (state.target) controls.target.fromArray(state.target);
+  if (state.camera || state.target) controls.update();
+}
+
+function applyViewState(state) {
+  applyCameraState(state);
+  if (state.speed != null) setUserSpeed(state.speed);
+  if (state.timeMode) setTimeMode(state.timeMode);
+  if (state.color || state.size) setEncoding(state);
+  if (state.coverage != null && coverageSlider && Number(coverageSlider.value) !== state.coverage) {
+    coverageSlider.value = state.coverage;
+    applyCoverage();
+  }
+  if (state.roads) {
+    // Go through the checkboxes' own change handlers so cached trip paths are invalidated too
+    for (const cb of roadFilterBoxes()) {
+      const on = state.roads.includes(cb.dataset.roadType);
+      if (cb.checked !== on) { cb.checked = on; cb.dispatchEvent(new Event('change')); }
+    }
+  }
+  if (simulation && simulation.trips.length) {
+    // Linked times are absolute; simulation seconds count from this load's first midnight
+    const time = state.timeMs != null && timelineBaseMs !== null ? (state.timeMs - timelineBaseMs) / 1000 : state.time;
+    if (time != null) {
+      const minTime = simulation.trips[0].startTime;
+      const maxTime = simulation.trips[simulation.trips.length-1].endTime;
+      simulation.resetTo(Math.min(maxTime, Math.max(minTime, time)));
+    }
+    if (state.playing != null) setPlaying(state.playing);
+  }
+}
+
+// Keep ?data= pointing at the loaded URLs (the bundled subset is the default and needs no parameter)
+function setDatasetParam(sources) {
+  datasetShareable = sources.every(s => typeof s === 'string');
+  if (!datasetShareable) return;
+  const url = new URL(location.href);
+  const list = sources.join(',');
+  if (list === 'src/geo/subset.csv') url.searchParams.delete('data');
+  else url.searchParams.set('data', list);
+  history.replaceState(null, '', url);
+}
+
+function syncUrlState() {
+  if (!viewStateReady) return;
+  const hash = formatViewState(captureViewState());
+  if (hash !== location.hash) history.replaceState(null, '', location.pathname + location.search + hash);
+}
+setInterval(syncUrlState, 1000);
+
+// Pasting a different link into the same tab only changes the hash: restore without reloading
+window.addEventListener('hashchange', () => {
+  if (viewStateReady) applyViewState(parseViewState(location.hash));
+});
+
+if (copyLinkBtn) {
+  copyLinkBtn.addEventListener('click', () => {
+    syncUrlState();
+    if (!datasetShareable) setStatus('Local files are not part of the link; it opens the view on the URL dataset');
+    navigator.clipboard.writeText(location.href)
+      .then(() => { if (datasetShareable) setStatus('Link copied'); })
+      .catch(() => setStatus('Copy failed: ' + location.href));
+  });
 }
 
 let last = performance.now();
@@ -314,16 +1303,9 @@ function animate() {
       const simT = simulation.simulationTime;
       const firstStart = tripsArr[0].startTime;
       const lastEnd = tripsArr[tripsArr.length - 1].endTime;
-      if (simT >= firstStart && firstStart > 0) {
-        // Binary search for last trip with startTime <= simT
-        let lo = 0, hi = tripsArr.length - 1, best = 0;
-        while (lo <= hi) {
-          const mid = (lo + hi) >> 1;
-            if (tripsArr[mid].startTime <= simT) { best = mid; lo = mid + 1; } else { hi = mid - 1; }
-        }
-        const tripDate = tripsArr[best].pickupDate;
-        const dateStr2 = (tripDate instanceof Date && !isNaN(tripDate)) ? formatDate(tripDate) : '';
-        clockEl.textContent = dateStr2 ? `${dateStr2} ${formatTime(simT)}` : formatTime(simT);
+      if (simT >= firstStart) {
+        // Date and time come from the simulation's epoch origin, so DST days read correctly
+        clockEl.textContent = formatDateTime(simT);
         // Update slider bounds once per animation frame (cheap) – assumes sorted
         slider.min = Math.floor(firstStart);
         slider.max = Math.floor(lastEnd);
@@ -334,26 +1316,7 @@ function animate() {
       }
     }
 
-    // --- Trip counter logic (from simulation) ---
-    const activeCount = simulation.activeOrbs.length;
-    if (tripsStartedEl) tripsStartedEl.textContent = simulation.startedCount;
-    if (tripsActiveEl) tripsActiveEl.textContent = activeCount;
-    if (tripsCompletedEl) tripsCompletedEl.textContent = simulation.completedCount;
-
-    // Fare complete status for newly completed trips (iterate all; per-trip flag prevents repeats)
-    if (simulation.trips && simulation.trips.length) {
-      for (const trip of simulation.trips) {
-        if (!trip._fareAnnounced && trip.endTime <= simulation.simulationTime) {
-          trip._fareAnnounced = true;
-          const fareNum = (typeof trip.fare === 'number') ? trip.fare : 0;
-          totalFare += fareNum;
-          if (fareTotalValueEl) fareTotalValueEl.textContent = totalFare.toFixed(2);
-          const address = trip.destinationLabel || trip.dropoffAddress || trip.dropoff || 'Trip End';
-          const cost = fareNum.toFixed(2);
-          setStatus(`Dropoff: ${address} - $${cost}`);
-        }
-      }
-    }
+    if (hudDirty) renderCounters();
 
     // Update speed indicator
     if (simulation.gapAccelActive && speedIndicatorEl && speedValueEl) {
@@ -363,40 +1326,36 @@ function animate() {
       // Always visible: just update speed value, never hide
       speedValueEl.textContent = Math.round(simulation.speed);
     }
+    // Density mode: effective speed relative to the selected one
+    if (speedFactorEl) {
+      const density = simulation.timeMode === 'density';
+      speedFactorEl.hidden = !density;
+      if (density) {
+        const f = Math.abs(simulation.speed / simulation.userSpeed);
+        speedFactorEl.textContent = `(×${f >= 10 ? Math.round(f) : f.toFixed(1)})`;
+      }
+    }
+    drawTimelineDensity();
     // Heatmap update disabled (trails off)
     // if (mapGroup && mapGroup.userData.heat) { mapGroup.userData.heat.update(simulation.activeOrbs); }
   }
 
-  // Hover detection (respect ongoing start/finish effects)
+  // Hover detection: orbs are instances, so pick against the pool's handles (hoverBoost scales the
+  // instance on top of the spawn / pulse / finish animation)
   if (simulation) {
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(simulation.activeOrbs, false);
-    if (intersects.length) {
-      const first = intersects[0].object;
-      if (hoverOrb !== first) {
-        if (hoverOrb) {
-          if (!hoverOrb.userData.startEffectStart && !hoverOrb.userData.finishing) {
-            hoverOrb.scale.setScalar(hoverOrb.userData.baseScale);
-          }
-        }
-        hoverOrb = first;
-        if (!hoverOrb.userData.startEffectStart && !hoverOrb.userData.finishing) {
-          hoverOrb.scale.setScalar(hoverOrb.userData.baseScale * hoverScaleBoost);
-        }
+    const hit = pickOrb(simulation.pool, raycaster.ray);
+    if (hoverOrb && hoverOrb !== hit) hoverOrb.userData.hoverBoost = 1;
+    if (hit) {
+      hit.userData.hoverBoost = hoverScaleBoost;
+      if (hoverOrb !== hit) {
+        hoverOrb = hit;
         // Show tooltip on hover
         showTripTooltip(hoverOrb, mouse.x * window.innerWidth / 2 + window.innerWidth / 2, -mouse.y * window.innerHeight / 2 + window.innerHeight / 2);
-      } else {
-        if (!hoverOrb.userData.startEffectStart && !hoverOrb.userData.finishing) {
-          hoverOrb.scale.setScalar(hoverOrb.userData.baseScale * hoverScaleBoost);
-        }
       }
-    } else if (hoverOrb) {
-      if (!hoverOrb.userData.startEffectStart && !hoverOrb.userData.finishing) {
-        hoverOrb.scale.setScalar(hoverOrb.userData.baseScale);
-      }
-      hoverOrb = null;
+    } else {
       // Don't hide tooltip immediately; let timeout handle it
-      // Only clear timeout if a new hover starts
+      hoverOrb = null;
     }
   }
 
@@ -408,17 +1367,17 @@ init();
 animate();
 
 // Coverage slider logic: rebuild map when changed (debounced)
+function applyCoverage() {
+  if (coverageValueEl) coverageValueEl.textContent = Math.round(Number(coverageSlider.value)*100)+'%';
+  if (mapGroup && mapGroup.userData && mapGroup.userData.setCoverageFactor) {
+    mapGroup.userData.setCoverageFactor(Number(coverageSlider.value));
+    if (simulation && mapGroup.userData.roadRouter) {
+      simulation.setRouter(mapGroup.userData.roadRouter);
+    }
+  }
+}
 if (coverageSlider) {
   let covTimer = null;
-  const applyCoverage = () => {
-    if (coverageValueEl) coverageValueEl.textContent = Math.round(Number(coverageSlider.value)*100)+'%';
-    if (mapGroup && mapGroup.userData && mapGroup.userData.setCoverageFactor) {
-      mapGroup.userData.setCoverageFactor(Number(coverageSlider.value));
-      if (simulation && mapGroup.userData.roadRouter) {
-        simulation.router = mapGroup.userData.roadRouter;
-      }
-    }
-  };
   coverageSlider.addEventListener('input', () => {
     if (coverageValueEl) coverageValueEl.textContent = Math.round(Number(coverageSlider.value)*100)+'%';
     if (covTimer) clearTimeout(covTimer);
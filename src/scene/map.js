@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { buildRoadGraph, routeBetween, routeKey } from '../sim/routing.js';
 
 
 // Load and plot a .poly boundary file as a magenta outline
@@ -198,9 +199,12 @@ function addLabel(group, text, lon, lat, color) {
 }
 
 
-// Load a landmark outline from a GeoJSON file by matching feature name (or custom predicate)
+// Load a landmark outline from a GeoJSON file by matching feature name (or custom predicate). The outline
+// is kept as group.userData.landmarks[key] = { key, name, label, color, ring } (ring in lon/lat) for trip
+// classification (see sim/airports.js).
 async function addGeoLandmark(group, {
   url,
+  key,             // id under group.userData.landmarks (defaults to name)
   name,            // feature properties.name to match (case sensitive)
   color = 0xffffff,
   label = name,    // label text (optional)
@@ -235,6 +239,7 @@ async function addGeoLandmark(group, {
       const last = coords[coords.length - 1];
       if (first[0] !== last[0] || first[1] !== last[1]) coords.push([...first]);
       addLandmarkOutline(group, coords, color, name || label || 'Landmark');
+      group.userData.landmarks[key || name] = { key: key || name, name, label, color, ring: coords };
       // Derive centroid for label if not supplied explicitly
       if (label) {
         let cx = 0, cy = 0;
@@ -408,12 +413,13 @@ async function buildRoads(group) {
 
   function rebuildRouter() {
     const allPolys = [];
+    const allTypes = [];
     const namedPolys = [];
     for (const t of allowedTypes) if (typeData[t].enabled) {
-      for (const entry of typeData[t].polylines) { if (entry.line.visible) allPolys.push(entry.pts); }
+      for (const entry of typeData[t].polylines) { if (entry.line.visible) { allPolys.push(entry.pts); allTypes.push(t); } }
       for (const r of typeData[t].named) { if (r.line.visible) namedPolys.push(r); }
     }
-    group.userData.roadRouter = buildRoadRouter(allPolys);
+    group.userData.roadRouter = buildRoadRouter(allPolys, allTypes);
     function nearestRoadName(worldPos, maxDist = 3.0) {
       let bestName = ''; let bestD2 = maxDist * maxDist; const px=worldPos.x, pz=worldPos.z;
       for (const r of namedPolys) {
@@ -475,70 +481,35 @@ function addRoadLine(rootGroup, roadGroup, coords, mat) {
 
 // Utility to build road routing graph
 // params: polylines: array of road polylines
-function buildRoadRouter(polylines) {
-  // Node dedupe precision in world units (smaller -> more nodes)
-  const PREC = 0.5; // ~0.5 world units ~ small geo distance
-  const nodeMap = new Map(); // key -> node
-  function keyFor(x,z){ return (Math.round(x/PREC)*PREC).toFixed(2)+','+(Math.round(z/PREC)*PREC).toFixed(2); }
-  function getNode(v){
-    const k = keyFor(v.x, v.z);
-    let n = nodeMap.get(k);
-    if (!n) { n = { x: v.x, z: v.z, edges: [] }; nodeMap.set(k,n); }
-    return n;
-  }
-  for (const line of polylines) {
-    for (let i=0;i<line.length-1;i++) {
-      const a = getNode(line[i]);
-      const b = getNode(line[i+1]);
-      if (a === b) continue;
-      const dx = a.x - b.x, dz = a.z - b.z;
-      const w = Math.hypot(dx,dz);
-      a.edges.push({ to: b, w });
-      b.edges.push({ to: a, w });
-    }
-  }
-  const nodes = [...nodeMap.values()];
-  console.log('[NYCMap] Road graph nodes:', nodes.length);
+// types[i] is the highway type of polylines[i]; routeDetailed() reports the type of each path segment
+// Graph, A* search and nearest-node grid live in sim/routing.js; `graph` is what the route worker
+// (sim/routeWorker.js) searches, routeDetailed() routes synchronously on this thread
+function buildRoadRouter(polylines, types = []) {
+  const graph = buildRoadGraph(polylines, types);
+  console.log('[NYCMap] Road graph nodes:', graph.nodeCount);
   const pathCache = new Map();
-  function nearestNode(v){
-    let best=null, bestD=Infinity; const vx=v.x, vz=v.z;
-    for (const n of nodes){ const dx=n.x-vx, dz=n.z-vz; const d=dx*dx+dz*dz; if (d<bestD){ bestD=d; best=n; } }
-    return best;
-  }
-  function route(start, end){
+  // { path: Vector3[], types: highway type per segment (path.length - 1) } or null
+  function routeDetailed(start, end){
     if (!start || !end) return null;
-    const k = keyFor(start.x,start.z)+'|'+keyFor(end.x,end.z);
+    const k = routeKey(start.x, start.z, end.x, end.z);
     if (pathCache.has(k)) return pathCache.get(k);
-    const s = nearestNode(start), t = nearestNode(end);
-    if (!s || !t) return null;
-    // Dijkstra (naive priority queue)
-    const dist = new Map();
-    const prev = new Map();
-    const visited = new Set();
-    dist.set(s,0);
-    let frontier = [s];
-    while (frontier.length){
-      // pick node with smallest dist
-      let bestI=0, bestN=frontier[0], bestD=dist.get(bestN);
-      for (let i=1;i<frontier.length;i++){ const n=frontier[i]; const d=dist.get(n); if (d<bestD){ bestD=d; bestI=i; bestN=n; } }
-      const u = bestN; frontier.splice(bestI,1);
-      if (u===t) break;
-      if (visited.has(u)) continue;
-      visited.add(u);
-      for (const {to,w} of u.edges){
-        if (w===0) continue;
-        const alt = dist.get(u)+w;
-        if (alt < (dist.get(to)??Infinity)) { dist.set(to,alt); prev.set(to,u); frontier.push(to); }
-      }
-    }
-    if (!prev.has(t) && s!==t) { pathCache.set(k,null); return null; }
-    const rev=[]; let cur=t; while (cur){ rev.push(cur); if (cur===s) break; cur=prev.get(cur); if (!cur) break; }
-    rev.reverse();
-    const path = rev.map(n => new THREE.Vector3(n.x, 0.02, n.z));
-    pathCache.set(k,path);
-    return path;
+    const routed = routeBetween(graph, start.x, start.z, end.x, end.z);
+    const result = routed && { path: routePath(routed.coords), types: routed.types };
+    pathCache.set(k, result);
+    return result;
+  }
+  function route(start, end){
+    const r = routeDetailed(start, end);
+    return r ? r.path : null;
   }
-  return { route };
+  return { route, routeDetailed, graph };
+}
+
+// Flat x, z route coordinates -> Vector3 path on the road plane
+function routePath(coords) {
+  const path = [];
+  for (let i = 0; i < coords.length; i += 2) path.push(new THREE.Vector3(coords[i], 0.02, coords[i + 1]));
+  return path;
 }
 
 // Utility to build latitude/longitude grid
@@ -662,7 +633,7 @@ export async function loadNYCMap(scene, opts = {}) {
   const originalSpan = { ...span };
   const cf = THREE.MathUtils.clamp(coverageFactor, 0.1, 1.0); // initial
   const center = { lon: bounds.minLon + span.lon/2, lat: bounds.minLat + span.lat/2 };
-  group.userData = { scale: FIXED_SCALE, bounds, span, center, radiusKm, roadPadFactor, fullExtent, coverageFactor: cf, originalBounds, originalSpan };
+  group.userData = { scale: FIXED_SCALE, bounds, span, center, radiusKm, roadPadFactor, fullExtent, coverageFactor: cf, originalBounds, originalSpan, landmarks: {} };
   const gj = await fetchGeo('src/geo/boroughs.geojson'); buildBoroughs(group, gj);
   await buildRoads(group);
   // Provide pruning method (incremental) without rebuilding geometry
@@ -719,9 +690,9 @@ export async function loadNYCMap(scene, opts = {}) {
   };
   // buildLatLonGrid(group);
   // await buildHeatmapLayer(group);
-  await addGeoLandmark(group, { url: 'src/geo/centralpark.geojson', name: 'Central Park', color: 0x4cff92, label: 'Central Park', bbox: { minLon: -73.99, maxLon: -73.94, minLat: 40.76, maxLat: 40.81 }, minPoints: 200 });
-  await addGeoLandmark(group, { url: 'src/geo/airports.geojson', name: 'John F. Kennedy International Airport', color: 0xff5ce1, label: 'JFK', bbox: { minLon: -73.90, maxLon: -73.75, minLat: 40.60, maxLat: 40.67 }, minPoints: 300 });
-  await addGeoLandmark(group, { url: 'src/geo/airports.geojson', name: 'LaGuardia Airport', color: 0xff9f43, label: 'LaGuardia', bbox: { minLon: -73.92, maxLon: -73.84, minLat: 40.75, maxLat: 40.78 }, minPoints: 150 });
+  await addGeoLandmark(group, { url: 'src/geo/centralpark.geojson', key: 'centralPark', name: 'Central Park', color: 0x4cff92, label: 'Central Park', bbox: { minLon: -73.99, maxLon: -73.94, minLat: 40.76, maxLat: 40.81 }, minPoints: 200 });
+  await addGeoLandmark(group, { url: 'src/geo/airports.geojson', key: 'jfk', name: 'John F. Kennedy International Airport', color: 0xff5ce1, label: 'JFK', bbox: { minLon: -73.90, maxLon: -73.75, minLat: 40.60, maxLat: 40.67 }, minPoints: 300 });
+  await addGeoLandmark(group, { url: 'src/geo/airports.geojson', key: 'lga', name: 'LaGuardia Airport', color: 0xff9f43, label: 'LaGuardia', bbox: { minLon: -73.92, maxLon: -73.84, minLat: 40.75, maxLat: 40.78 }, minPoints: 150 });
   await addPolyOutline(group, 'src/geo/new-york.poly');
   scene.add(group); return group;
 }
@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+// Ground overlay for origin / destination regions (sim/odRegions.js): a translucent fill and an outline per
+// region, plus the outline of the region being drawn. Add layer.group to the scene.
+
+export const REGION_COLORS = { origin: 0x19c3ff, destination: 0xffa040 };
+const DRAFT_COLOR = 0xffffff;
+const FILL_Y = 0.03;
+const LINE_Y = 0.06;
+
+export function createRegionLayer() {
+  const layer = {
+    group: new THREE.Group(),
+    meshes: new Map(), // region id -> { fill, outline }
+    draft: null
+  };
+  layer.group.name = 'ODRegions';
+  return layer;
+}
+
+function ringPoints(ring, y) {
+  return ring.map(([x, z]) => new THREE.Vector3(x, y, z));
+}
+
+export function addRegionMesh(layer, region) {
+  removeRegionMesh(layer, region.id);
+  const shape = new THREE.Shape(region.ring.map(([x, z]) => new THREE.Vector2(x, z)));
+  const fillGeom = new THREE.ShapeGeometry(shape);
+  fillGeom.rotateX(Math.PI / 2); // shape x/y -> ground x/z
+  const fill = new THREE.Mesh(fillGeom, new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.16, depthWrite: false, side: THREE.DoubleSide }));
+  fill.position.y = FILL_Y;
+  const outline = new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints(ringPoints(region.ring, LINE_Y)),
+    new THREE.LineBasicMaterial({ transparent: true, opacity: 0.85 })
+  );
+  fill.name = `ODRegion_${region.id}_fill`;
+  outline.name = `ODRegion_${region.id}_outline`;
+  layer.group.add(fill, outline);
+  layer.meshes.set(region.id, { fill, outline });
+  updateRegionMesh(layer, region);
+}
+
+// Recolor after the region's role changed
+export function updateRegionMesh(layer, region) {
+  const m = layer.meshes.get(region.id);
+  if (!m) return;
+  const color = REGION_COLORS[region.role];
+  m.fill.material.color.set(color);
+  m.outline.material.color.set(color);
+}
+
+export function removeRegionMesh(layer, id) {
+  const m = layer.meshes.get(id);
+  if (!m) return;
+  for (const obj of [m.fill, m.outline]) {
+    layer.group.remove(obj);
+    obj.geometry.dispose();
+    obj.material.dispose();
+  }
+  layer.meshes.delete(id);
+}
+
+// Open outline of the region being drawn ([x, z] points); null / fewer than 2 points hides it
+export function setDraftOutline(layer, points) {
+  if (layer.draft) {
+    layer.group.remove(layer.draft);
+    layer.draft.geometry.dispose();
+    layer.draft.material.dispose();
+    layer.draft = null;
+  }
+  if (!points || points.length < 2) return;
+  layer.draft = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(ringPoints(points, LINE_Y)),
+    new THREE.LineDashedMaterial({ color: DRAFT_COLOR, dashSize: 0.15, gapSize: 0.1, transparent: true, opacity: 0.9 })
+  );
+  layer.draft.computeLineDistances();
+  layer.draft.name = 'ODRegionDraft';
+  layer.group.add(layer.draft);
+}
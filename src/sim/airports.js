@@ -0,0 +1,100 @@
+import { pointInRing, ringBounds } from '../utils/polygon.js';
+
+// Airport trips: pickups and dropoffs classified by point-in-polygon against the airport landmark outlines
+// (lon/lat rings kept by scene/map.js), live per-airport / per-direction counters kept from the engine's
+// tripstart / tripend events, and fare / duration averages of airport runs against the city. Pure data.
+
+export const AIRPORT_KEYS = ['jfk', 'lga'];
+export const AIRPORT_DIRECTIONS = ['pickup', 'dropoff']; // trips leaving / arriving at the airport
+
+// landmarks: { key -> { key, label, color, ring } } (map group userData.landmarks); missing airports are skipped
+export function createAirportIndex(landmarks) {
+  const airports = [];
+  for (const key of AIRPORT_KEYS) {
+    const lm = landmarks && landmarks[key];
+    if (!lm || !lm.ring || lm.ring.length < 3) continue;
+    airports.push({ key, label: lm.label || key, color: lm.color, ring: lm.ring, bounds: ringBounds(lm.ring) });
+  }
+  return { airports };
+}
+
+// Key of the airport containing pos ({ lon, lat }), or null
+export function airportAt(index, pos) {
+  if (!pos || !Number.isFinite(pos.lon)) return null;
+  for (const a of index.airports) {
+    const b = a.bounds;
+    if (pos.lon < b.minX || pos.lon > b.maxX || pos.lat < b.minY || pos.lat > b.maxY) continue;
+    if (pointInRing(pos.lon, pos.lat, a.ring)) return a.key;
+  }
+  return null;
+}
+
+// { pickup, dropoff } airport keys (null = not at an airport), cached on the trip per index
+export function classifyTrip(index, trip) {
+  const cached = trip._airport;
+  if (cached && cached.index === index) return cached;
+  return (trip._airport = { index, pickup: airportAt(index, trip.startPos), dropoff: airportAt(index, trip.endPos) });
+}
+
+export const isAirportTrip = (index, trip) => {
+  const c = classifyTrip(index, trip);
+  return c.pickup !== null || c.dropoff !== null;
+};
+
+// Mean fare / duration (s) of airport runs, of each airport, and of all trips:
+// { city, airport, byAirport: { key -> stats } } with stats = { count, meanFare, meanDuration }
+export function airportStats(index, trips) {
+  const acc = () => ({ count: 0, fareSum: 0, fareCount: 0, durationSum: 0 });
+  const add = (a, trip) => {
+    a.count++;
+    a.durationSum += trip.endTime - trip.startTime;
+    if (Number.isFinite(trip.fare)) { a.fareSum += trip.fare; a.fareCount++; }
+  };
+  const city = acc(), airport = acc(), byAirport = {};
+  for (const a of index.airports) byAirport[a.key] = acc();
+  for (const trip of trips) {
+    add(city, trip);
+    const c = classifyTrip(index, trip);
+    if (c.pickup === null && c.dropoff === null) continue;
+    add(airport, trip);
+    add(byAirport[c.pickup ?? c.dropoff], trip);
+    // A JFK <-> LaGuardia run counts for both airports
+    if (c.pickup !== null && c.dropoff !== null && c.dropoff !== c.pickup) add(byAirport[c.dropoff], trip);
+  }
+  const done = (a) => ({
+    count: a.count,
+    meanFare: a.fareCount ? a.fareSum / a.fareCount : NaN,
+    meanDuration: a.count ? a.durationSum / a.count : NaN
+  });
+  const out = { city: done(city), airport: done(airport), byAirport: {} };
+  for (const key in byAirport) out.byAirport[key] = done(byAirport[key]);
+  return out;
+}
+
+// Per airport and direction: trips started / completed up to the playhead ({ key -> { pickup, dropoff } ->
+// { started, completed } }). Seed with the trips already passed (again after every seek), then feed every
+// tripstart / tripend event; events carry direction -1 when crossed backwards, so the counts stay exact under
+// reverse and filters.
+export function createAirportCounters(index) {
+  const counts = {};
+  for (const a of index.airports) {
+    counts[a.key] = {};
+    for (const dir of AIRPORT_DIRECTIONS) counts[a.key][dir] = { started: 0, completed: 0 };
+  }
+  const bump = (trip, field, delta) => {
+    const c = classifyTrip(index, trip);
+    if (c.pickup !== null) counts[c.pickup].pickup[field] += delta;
+    if (c.dropoff !== null) counts[c.dropoff].dropoff[field] += delta;
+  };
+  return {
+    counts,
+    // started: trips whose pickup is behind the playhead; completed: trips whose dropoff is. Replaces the counts
+    seed(started, completed) {
+      for (const key in counts) for (const dir of AIRPORT_DIRECTIONS) counts[key][dir] = { started: 0, completed: 0 };
+      for (const trip of started) bump(trip, 'started', 1);
+      for (const trip of completed) bump(trip, 'completed', 1);
+    },
+    onTripStart(e) { bump(e.trip, 'started', e.direction); },
+    onTripEnd(e) { bump(e.trip, 'completed', e.direction); }
+  };
+}
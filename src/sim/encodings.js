@@ -0,0 +1,105 @@
+import { FLEET_LABELS, PAYMENT_LABELS } from '../data/schemas.js';
+
+// Visual encodings: which trip field drives orb / trail / start-marker color and which drives orb size.
+// Categorical fields map values to fixed colors; continuous ones go through a clamped domain onto a color
+// ramp (or a size range). Trips without the field (e.g. FHV has no tips) get NO_DATA_COLOR / the minimum
+// size. Colors are 0xRRGGBB numbers; no three.js here.
+
+export const NO_DATA_COLOR = 0x6b7280;
+
+// Orb colors per fleet when several fleets share the timeline
+export const FLEET_COLORS = { yellow: 0xfff15c, green: 0x27ff6c, fhv: 0x4fc3ff, hvfhv: 0xff5ce1 };
+
+const PAYMENT_COLORS = { card: 0x4fc3ff, cash: 0x27ff6c, no_charge: 0xfff15c, dispute: 0xff5c5c, flex: 0xff5ce1, unknown: 0xaaaaaa, voided: 0x888888 };
+
+// Ramps are evenly spaced stops from the domain minimum to its maximum
+const RAMPS = {
+  cool: [0x3b4cc0, 0x6f92f3, 0xaac7fd, 0xdddddd, 0xf7b89c, 0xe7745b, 0xb40426], // blue -> red (diverging)
+  heat: [0x2d0a5e, 0x7b1f7a, 0xc43c5c, 0xf3752f, 0xfcd84a], // dark purple -> yellow
+  teal: [0x0b3c5d, 0x1d7a8c, 0x3fb8af, 0x9fe3b4, 0xf4ffd6]
+};
+
+const fareOf = (trip) => (typeof trip.fare === 'number' ? trip.fare : NaN);
+const minutes = (trip) => (trip.endTime - trip.startTime) / 60;
+const tipPercent = (trip) => (fareOf(trip) > 0 && trip.tip >= 0 ? trip.tip / trip.fare * 100 : NaN);
+// Under a tenth of a mile the ratio is mostly meter noise
+const farePerMile = (trip) => (trip.distance > 0.1 && fareOf(trip) > 0 ? trip.fare / trip.distance : NaN);
+const passengers = (trip) => (trip.passengers > 0 ? trip.passengers : NaN);
+
+// key -> { label, type: 'category', value(trip), colors, labels } | { label, type: 'ramp', value(trip), domain, ramp, unit, note }
+export const COLOR_ENCODINGS = {
+  vendor: {
+    label: 'Vendor',
+    type: 'category',
+    value: (trip) => (trip.vendor === 1 ? 'v1' : 'other'),
+    colors: { v1: 0xfff15c, other: 0x27ff6c },
+    labels: { v1: 'Vendor 1', other: 'Other vendors' }
+  },
+  fleet: { label: 'Fleet', type: 'category', value: (trip) => trip.fleet, colors: FLEET_COLORS, labels: FLEET_LABELS },
+  passengers: { label: 'Passengers', type: 'ramp', value: passengers, domain: [1, 6], ramp: RAMPS.teal, unit: '' },
+  payment: { label: 'Payment type', type: 'category', value: (trip) => trip.payment, colors: PAYMENT_COLORS, labels: PAYMENT_LABELS },
+  tipPercent: { label: 'Tip %', type: 'ramp', value: tipPercent, domain: [0, 30], ramp: RAMPS.heat, unit: '%', note: 'Cash tips are not recorded' },
+  farePerMile: { label: 'Fare per mile', type: 'ramp', value: farePerMile, domain: [2, 12], ramp: RAMPS.cool, unit: '$/mi' },
+  duration: { label: 'Trip duration', type: 'ramp', value: minutes, domain: [0, 60], ramp: RAMPS.cool, unit: 'min' }
+};
+
+const MIN_SIZE = 0.35;
+const MAX_SIZE = 1.1;
+
+// key -> { label, value(trip) -> orb base scale }
+export const SIZE_ENCODINGS = {
+  fare: { label: 'Fare (log)', scale: (trip) => Math.max(MIN_SIZE, Math.log10((fareOf(trip) || 0) + 1) * 0.45 + 0.15) },
+  uniform: { label: 'Uniform', scale: () => 0.5 },
+  passengers: { label: 'Passengers', domain: [1, 6], value: passengers },
+  tipPercent: { label: 'Tip %', domain: [0, 30], value: tipPercent },
+  farePerMile: { label: 'Fare per mile', domain: [2, 12], value: farePerMile },
+  duration: { label: 'Trip duration', domain: [0, 60], value: minutes },
+  distance: { label: 'Distance', domain: [0, 10], value: (trip) => (trip.distance >= 0 ? trip.distance : NaN) }
+};
+
+export const DEFAULT_ENCODING = { color: 'vendor', size: 'fare' };
+
+// Position of v in [min, max], clamped to 0..1 (NaN stays NaN)
+const unit = (v, [min, max]) => Math.min(1, Math.max(0, (v - min) / (max - min)));
+
+// Color at f (0..1) along a ramp
+export function rampColor(ramp, f) {
+  const x = f * (ramp.length - 1);
+  const i = Math.min(ramp.length - 2, Math.floor(x));
+  const t = x - i;
+  const a = ramp[i], b = ramp[i + 1];
+  const mix = (shift) => Math.round(((a >> shift) & 0xff) * (1 - t) + ((b >> shift) & 0xff) * t) << shift;
+  return mix(16) | mix(8) | mix(0);
+}
+
+export function tripColorFor(key, trip) {
+  const enc = COLOR_ENCODINGS[key] || COLOR_ENCODINGS[DEFAULT_ENCODING.color];
+  const v = enc.value(trip);
+  if (enc.type === 'category') return enc.colors[v] ?? NO_DATA_COLOR;
+  return Number.isFinite(v) ? rampColor(enc.ramp, unit(v, enc.domain)) : NO_DATA_COLOR;
+}
+
+export function tripSizeFor(key, trip) {
+  const enc = SIZE_ENCODINGS[key] || SIZE_ENCODINGS[DEFAULT_ENCODING.size];
+  if (enc.scale) return enc.scale(trip);
+  const v = enc.value(trip);
+  return Number.isFinite(v) ? MIN_SIZE + unit(v, enc.domain) * (MAX_SIZE - MIN_SIZE) : MIN_SIZE;
+}
+
+// Legend description for the HUD:
+//   { title, type: 'category', items: [{ label, color }] }
+//   { title, type: 'ramp', stops: [color], min, max, note }   (min / max are labels)
+export function colorLegend(key) {
+  const enc = COLOR_ENCODINGS[key] || COLOR_ENCODINGS[DEFAULT_ENCODING.color];
+  if (enc.type === 'category') {
+    return { title: enc.label, type: 'category', items: Object.keys(enc.colors).map(k => ({ label: enc.labels[k] || k, color: enc.colors[k] })) };
+  }
+  const [min, max] = enc.domain;
+  const fmt = (v) => (enc.unit === '$/mi' ? `$${v}/mi` : `${v}${enc.unit ? (enc.unit === '%' ? '%' : ' ' + enc.unit) : ''}`);
+  return { title: enc.label, type: 'ramp', stops: enc.ramp, min: fmt(min), max: `${fmt(max)}+`, note: enc.note || null };
+}
+
+export function sizeLegend(key) {
+  const enc = SIZE_ENCODINGS[key] || SIZE_ENCODINGS[DEFAULT_ENCODING.size];
+  return { title: enc.label, domain: enc.domain || null };
+}
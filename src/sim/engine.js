@@ -0,0 +1,510 @@
+import { nyMidnight, nyNextMidnight } from '../utils/nyTime.js';
+import { createEmitter } from '../utils/events.js';
+import { createTimeIndex, countStarted, countCompleted, forEachInFlight, sortByEnd, mergeInto, countUpTo } from './timeIndex.js';
+import { createDensityCurve, warpAdvance, warpSpeedAt } from './timeWarp.js';
+
+// Scheduling / state core of the simulation: playback clock (forward or reverse), trip activation and
+// completion, lifecycle counters, the active-trip cap, time compression, stepping and seeking. Two time
+// modes: 'gap' plays at the user's speed and accelerates through empty stretches; 'density' scales the speed
+// by the trip density curve (timeWarp.js). In both, `speed` is the effective speed of the last frame. No three.js,
+// DOM or wall-clock access, so it runs as-is in Node (batch analytics, deterministic checks). Views
+// subscribe to lifecycle callbacks:
+//   reset(timeSec)           after a seek (trips that stayed in flight keep their view objects)
+//   tripStart(trip, resumed) trip gets drawn; resumed = already in flight (seek / late streamed arrival /
+//                            re-entered backwards from its dropoff during reverse playback)
+//   tripEnd(trip)            a drawn trip left the playhead: reached its dropoff, or its pickup in reverse
+// Anyone else (HUD, panels) listens on the public event bus with on(type, fn) / off(type, fn). Every event is
+// { type, time, ...detail }:
+//   tripstart / tripend      { trip, direction, cause } the playhead crossed a pickup / dropoff. direction -1 = crossed
+//                            backwards (the trip is un-started / un-completed); cause 'playback' | 'step' |
+//                            'stream' (a late streamed trip that begins / ends before the playhead) | 'filter' (a trip
+//                            behind the playhead entered or left the filtered set, see setFilter). Every trip is
+//                            reported, drawn or not, so running totals kept from these two stay exact. A seek
+//                            reports no crossings: listeners re-seed from startedTrips() / completedTrips() on 'seek'.
+//   seek                     { previousTime, started, completed } after resetTo(); started / completed are the new
+//                            lifecycle counts
+//   gapaccelstart            { gap, dayTransition } an empty stretch is being fast-forwarded
+//   gapaccelend              {}
+//   daychange                { dayStart, nextDayStart, previousDayStart } the New York day under the playhead changed
+//   ended                    { direction } playback stopped at the last dropoff (1) or the first pickup (-1)
+//   filter                   { count, total } the trip filter changed: count of total loaded trips pass it
+// Counters are already updated when an event fires.
+// Real time comes from the dt passed to advance(); pass `clock` (ms) to use another time source.
+
+export class SimulationEngine {
+  constructor(trips = [], { clock = null } = {}) {
+    // Every loaded trip; `trips` is the subset passing the filter (the same array while there is none). Both
+    // are the engine's own copies: streamed batches are merged into them in place
+    this.allTrips = trips.slice();
+    this.filter = null;
+    this.trips = this.allTrips;
+    // Start at the first trip's start time, if available
+    this.simulationTime = trips.length ? trips[0].startTime : 0;
+    this.playing = true;
+    this.streaming = false; // true while more trips may still arrive (don't stop at the current last trip)
+    this.speed = 30; // seconds simulated per real second (negative plays in reverse)
+    this.userSpeed = this.speed; // base user-selected speed
+    this.gapAccelActive = false;
+    this.timeMode = 'gap'; // 'gap' | 'density' (see setTimeMode)
+    this.density = null; // density curve for 'density' mode, built on demand
+    this.densityCount = 0; // trips.length when it was built
+    // Trip lifecycle counters: trips with startTime <= simulationTime / endTime <= simulationTime (kept equal to
+    // the two cursors below, so they stay exact in either direction and across seeks)
+    this.startedCount = 0;
+    this.completedCount = 0;
+
+    // Adaptive gap acceleration system
+    this.maxRealWaitTime = 5.0; // max seconds user should wait in real time
+    this.moderateGapSpeed = 1000; // speed for gaps that would take 5+ seconds at normal speed
+    this.extremeGapSpeed = 10000; // speed for multi-day gaps
+    this.lastGapCheck = 0;
+    this.gapCheckInterval = 0.5; // check every 0.5 real seconds
+    // Configuration for different gap types
+    this.shortGapThreshold = 300; // gaps under 5 minutes (300 sec) use moderate acceleration
+    this.longGapThreshold = 3600; // gaps over 1 hour (3600 sec) use extreme acceleration
+
+    this.nextTripIndex = 0; // trips[0..nextTripIndex) have started
+    // Same trips ordered by endTime; endOrder[0..endIndex) have completed. Lets reverse playback find the
+    // trips the playhead re-enters from their dropoff without scanning the whole timeline.
+    this.endOrder = sortByEnd(trips);
+    this.endIndex = 0;
+    this.index = null; // time index for seeks, built on demand (see timeIndex.js)
+    this.direction = 1; // sign of the last playhead move (1 forward, -1 reverse)
+    this.active = []; // drawn in-flight trips (order doesn't matter)
+    // Hard cap on concurrently drawn trips; trips over the cap are counted but never reach the view
+    this.maxActive = Infinity;
+    this.cappedTrips = []; // in-flight trips that were over the cap when they started
+
+    this.realTime = 0; // seconds of real time fed through advance()
+    this.clock = clock || (() => this.realTime * 1000);
+    this.listeners = [];
+    this.events = createEmitter();
+
+    // Current simulation day as ms epochs of New York midnights (a DST day spans 23h or 25h)
+    this.timeOrigin = null; // ms epoch of simulationTime 0
+    this.currentDayStart = null;
+    this.nextDayStart = null;
+    this.syncTimeOrigin();
+  }
+
+  // listener: { reset, tripStart, tripEnd } (all optional); returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      const i = this.listeners.indexOf(listener);
+      if (i >= 0) this.listeners.splice(i, 1);
+    };
+  }
+
+  emit(name, ...args) {
+    for (const l of this.listeners) if (l[name]) l[name](...args);
+  }
+
+  // Public event bus (see the header for event types); on() returns an unsubscribe function
+  on(type, fn) {
+    return this.events.on(type, fn);
+  }
+
+  off(type, fn) {
+    this.events.off(type, fn);
+  }
+
+  fire(type, detail) {
+    if (this.events.has(type)) this.events.emit(type, { type, time: this.simulationTime, ...detail });
+  }
+
+  // The playhead crossed a pickup (tripstart) or dropoff (tripend)
+  crossed(type, trip, direction, cause) {
+    if (this.events.has(type)) this.events.emit(type, { type, time: this.simulationTime, trip, direction, cause });
+  }
+
+  // Leave gap acceleration, back to the user's speed
+  endGapAccel() {
+    if (!this.gapAccelActive) return;
+    this.gapAccelActive = false;
+    this.speed = this.userSpeed;
+    this.fire('gapaccelend', {});
+  }
+
+  // Derive the timeline origin from the first trip (startTime is seconds after the origin)
+  syncTimeOrigin() {
+    if (this.timeOrigin !== null || !this.trips.length) return;
+    const t0 = this.trips[0];
+    if (!isFinite(t0.pickupTimestamp)) return;
+    this.timeOrigin = t0.pickupTimestamp - t0.startTime * 1000;
+    this.updateCurrentDay();
+  }
+
+  // ms epoch for a simulation time in seconds (NaN until trips are loaded)
+  epochAt(timeSec) {
+    return this.timeOrigin === null ? NaN : this.timeOrigin + timeSec * 1000;
+  }
+
+  updateCurrentDay() {
+    const ms = this.epochAt(this.simulationTime);
+    if (isNaN(ms)) return;
+    if (this.currentDayStart === null || ms < this.currentDayStart || ms >= this.nextDayStart) {
+      const previousDayStart = this.currentDayStart;
+      this.currentDayStart = nyMidnight(ms);
+      this.nextDayStart = nyNextMidnight(ms);
+      this.fire('daychange', { dayStart: this.currentDayStart, nextDayStart: this.nextDayStart, previousDayStart });
+    }
+  }
+
+  // Fraction of the trip elapsed at the current time (unclamped)
+  progressOf(trip) {
+    return (this.simulationTime - trip.startTime) / (trip.endTime - trip.startTime);
+  }
+
+  // Launch an in-flight trip, or park it in cappedTrips when the cap is reached
+  launch(trip, resumed) {
+    if (this.active.length >= this.maxActive) { this.cappedTrips.push(trip); return; }
+    this.active.push(trip);
+    this.emit('tripStart', trip, resumed);
+  }
+
+  // Time index over the current trips; rebuilt lazily after streamed batches
+  timeIndex() {
+    if (!this.index) this.index = createTimeIndex(this.trips, this.endOrder);
+    return this.index;
+  }
+
+  // Trip density curve over the current trips. While trips stream in it is only rebuilt once the timeline has
+  // grown by a quarter, so density playback doesn't rebuild the index after every batch
+  densityCurve() {
+    const n = this.trips.length;
+    if (!this.density || (n !== this.densityCount && (!this.streaming || n > this.densityCount * 1.25))) {
+      this.density = createDensityCurve(this.timeIndex());
+      this.densityCount = n;
+    }
+    return this.density;
+  }
+
+  setTimeMode(mode) {
+    this.timeMode = mode === 'density' ? 'density' : 'gap';
+    this.endGapAccel();
+    this.speed = this.userSpeed;
+  }
+
+  // Jump the playhead. Counters come from binary searches and the in-flight set from the index; trips in
+  // flight both before and after the jump stay active (no view events), so their orbs and trails are reused.
+  resetTo(timeSec) {
+    // Prevent simulation from resetting before first trip
+    if (this.trips.length) {
+      const minTime = this.trips[0].startTime;
+      if (timeSec < minTime) timeSec = minTime;
+    }
+    const previousTime = this.simulationTime;
+    this.direction = timeSec < previousTime ? -1 : 1;
+    this.simulationTime = timeSec;
+    this.updateCurrentDay();
+    this.endGapAccel();
+    this.speed = this.userSpeed;
+    const index = this.timeIndex();
+    this.nextTripIndex = countStarted(index, timeSec);
+    this.endIndex = countCompleted(index, timeSec);
+    this.syncCounters();
+    this.relaunchInFlight();
+    this.emit('reset', timeSec);
+    this.fire('seek', { previousTime, started: this.startedCount, completed: this.completedCount });
+  }
+
+  // Rebuild the drawn set from the time index at the current time; trips that stay in flight keep their view objects
+  relaunchInFlight() {
+    const wasActive = new Set(this.active);
+    const kept = [];
+    const entering = [];
+    forEachInFlight(this.timeIndex(), this.simulationTime, (trip) => {
+      if (wasActive.delete(trip)) kept.push(trip); else entering.push(trip);
+    });
+    this.active = kept;
+    this.cappedTrips.length = 0;
+    // Leavers first, so their pool slots and trail ranges are free for the trips entering
+    for (const trip of wasActive) this.emit('tripEnd', trip);
+    for (const trip of entering) this.launch(trip, true);
+  }
+
+  // Only play trips passing predicate(trip) (null plays everything) without touching the playhead. Trips behind
+  // it that enter or leave the set are reported as 'filter' crossings, so running totals stay exact.
+  setFilter(predicate) {
+    const previous = this.filter;
+    this.filter = predicate || null;
+    const all = this.allTrips;
+    const simT = this.simulationTime;
+    this.trips = this.filter ? all.filter(this.filter) : all;
+    this.endOrder = sortByEnd(this.trips);
+    this.index = null;
+    this.density = null;
+    this.nextTripIndex = countUpTo(this.trips, 'startTime', simT);
+    this.endIndex = countUpTo(this.endOrder, 'endTime', simT);
+    this.syncCounters();
+    this.relaunchInFlight();
+    if (this.events.has('tripstart') || this.events.has('tripend')) {
+      const passes = (filter, trip) => !filter || filter(trip);
+      for (let i = 0, n = countUpTo(all, 'startTime', simT); i < n; i++) {
+        const trip = all[i];
+        const was = passes(previous, trip), is = passes(this.filter, trip);
+        if (was === is) continue;
+        const direction = is ? 1 : -1;
+        this.crossed('tripstart', trip, direction, 'filter');
+        if (trip.endTime <= simT) this.crossed('tripend', trip, direction, 'filter');
+      }
+    }
+    this.fire('filter', { count: this.trips.length, total: all.length });
+  }
+
+  // Trips whose pickup / dropoff is behind the playhead (to seed running totals kept from the events, and to
+  // re-seed them on 'seek')
+  startedTrips() {
+    return this.trips.slice(0, this.nextTripIndex);
+  }
+
+  completedTrips() {
+    return this.endOrder.slice(0, this.endIndex);
+  }
+
+  syncCounters() {
+    this.startedCount = this.nextTripIndex;
+    this.completedCount = this.endIndex;
+  }
+
+  // Step real time by dt seconds: move the playhead (either direction), launch / complete trips, adapt gap speed
+  advance(dt) {
+    this.realTime += dt;
+    if (this.playing && this.speed) {
+      if (this.timeMode === 'density' && this.trips.length) {
+        const curve = this.densityCurve();
+        this.moveBy(warpAdvance(curve, this.simulationTime, dt, this.userSpeed) - this.simulationTime, true);
+        this.speed = Math.sign(this.userSpeed) * warpSpeedAt(curve, this.simulationTime, this.userSpeed);
+      } else {
+        this.moveBy(dt * this.speed, true);
+      }
+    }
+    this.sync('playback');
+    this.updateGapAcceleration();
+  }
+
+  // Move the playhead by deltaSec simulated seconds without real time passing (frame-accurate stepping)
+  step(deltaSec) {
+    if (!deltaSec) return;
+    this.moveBy(deltaSec, false);
+    this.sync('step');
+  }
+
+  // Slave the playhead to another timeline's time (no clamping, no gap acceleration), e.g. deadhead legs
+  // following the main trips. Jumps cost O(trips crossed).
+  follow(timeSec) {
+    if (timeSec !== this.simulationTime) this.direction = timeSec < this.simulationTime ? -1 : 1;
+    this.simulationTime = timeSec;
+    this.sync('playback');
+  }
+
+  // Shift simulationTime within [first pickup, last dropoff]; playback stops at either end
+  moveBy(delta, playback) {
+    this.direction = delta < 0 ? -1 : 1;
+    this.simulationTime += delta;
+    if (this.trips.length) {
+      const minTime = this.trips[0].startTime;
+      const maxTime = this.trips[this.trips.length-1].endTime;
+      if (this.simulationTime >= maxTime) {
+        this.simulationTime = maxTime;
+        // While streaming, hold at the current end and resume as later trips arrive
+        if (playback && delta > 0 && !this.streaming) this.playing = false;
+      } else if (this.simulationTime <= minTime) {
+        this.simulationTime = minTime;
+        if (playback && delta < 0) this.playing = false;
+      }
+    }
+    this.updateCurrentDay();
+    if (playback && !this.playing) this.fire('ended', { direction: this.direction });
+  }
+
+  // Bring counters and the drawn set in line with simulationTime after a move in either direction
+  // (cause tags the crossing events: 'playback' or 'step')
+  sync(cause) {
+    const simT = this.simulationTime;
+    const trips = this.trips;
+    const ends = this.endOrder;
+
+    // Pickups passed going forward
+    while (this.nextTripIndex < trips.length) {
+      const trip = trips[this.nextTripIndex];
+      if (trip.startTime > simT) break;
+      this.nextTripIndex++;
+      this.syncCounters();
+      // Already over by now (fast playback / gap acceleration): counted below without drawing it
+      if (trip.endTime > simT) this.launch(trip, false);
+      this.crossed('tripstart', trip, 1, cause);
+    }
+    // Pickups un-passed going backward
+    while (this.nextTripIndex > 0 && trips[this.nextTripIndex - 1].startTime > simT) {
+      const trip = trips[--this.nextTripIndex];
+      this.syncCounters();
+      this.crossed('tripstart', trip, -1, cause);
+    }
+    // Dropoffs passed going forward
+    while (this.endIndex < ends.length && ends[this.endIndex].endTime <= simT) {
+      const trip = ends[this.endIndex++];
+      this.syncCounters();
+      this.crossed('tripend', trip, 1, cause);
+    }
+    // Dropoffs un-passed going backward: the trip is in flight again if its pickup is still behind us
+    while (this.endIndex > 0 && ends[this.endIndex - 1].endTime > simT) {
+      const trip = ends[--this.endIndex];
+      this.syncCounters();
+      if (trip.startTime <= simT) this.launch(trip, true);
+      this.crossed('tripend', trip, -1, cause);
+    }
+
+    // Capped trips just leave the list once they're no longer in flight
+    if (this.cappedTrips.length) {
+      let w = 0;
+      for (const trip of this.cappedTrips) {
+        if (trip.endTime > simT && trip.startTime <= simT) this.cappedTrips[w++] = trip;
+      }
+      this.cappedTrips.length = w;
+    }
+
+    // Drawn trips that left the playhead (swap-remove; order doesn't matter)
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      const trip = this.active[i];
+      if (trip.endTime > simT && trip.startTime <= simT) continue;
+      const last = this.active.pop();
+      if (i < this.active.length) this.active[i] = last;
+      this.emit('tripEnd', trip);
+    }
+  }
+
+  // Merge a batch of trips (sorted by startTime) into the running timeline. Trips that begin before the
+  // current simulation time are counted (or launched if still in flight) so counters stay consistent.
+  // Only trips passing the filter join the played timeline (all of them are kept in allTrips).
+  addTrips(batch) {
+    if (!batch || !batch.length) return;
+    if (this.filter) {
+      mergeInto(this.allTrips, batch, 'startTime');
+      batch = batch.filter(this.filter);
+      if (!batch.length) return;
+    }
+    const simT = this.simulationTime;
+    mergeInto(this.trips, batch, 'startTime');
+    mergeInto(this.endOrder, sortByEnd(batch), 'endTime');
+    this.index = null;
+    // Cursors past everything at or before the playhead, late arrivals included
+    this.nextTripIndex = countUpTo(this.trips, 'startTime', simT);
+    this.endIndex = countUpTo(this.endOrder, 'endTime', simT);
+    this.syncCounters();
+    this.syncTimeOrigin();
+    for (const trip of batch) {
+      if (trip.startTime > simT) continue;
+      // Late arrival still in flight: launch it directly at its current progress
+      if (trip.endTime > simT) this.launch(trip, true);
+      this.crossed('tripstart', trip, 1, 'stream');
+      if (trip.endTime <= simT) this.crossed('tripend', trip, 1, 'stream');
+    }
+  }
+
+  /**
+   * Adaptive gap acceleration system that smoothly scales speed based on gap duration
+   * and real-world wait time, avoiding jarring jumps while keeping the simulation engaging.
+   */
+  updateGapAcceleration() {
+    if (!this.playing || this.timeMode !== 'gap') return;
+
+    // Only check periodically to avoid excessive computation
+    const now = this.clock() / 1000;
+    if (now - this.lastGapCheck < this.gapCheckInterval) return;
+    this.lastGapCheck = now;
+
+    // If there are active trips, ensure we're at normal speed
+    if (this.active.length > 0) {
+      this.endGapAccel();
+      return;
+    }
+
+    // No active trips - check if we need gap acceleration
+    if (this.userSpeed < 0) {
+      // Reverse: the gap runs back to the latest dropoff behind the playhead
+      if (this.endIndex === 0) return;
+      const prevEnd = this.endOrder[this.endIndex - 1].endTime;
+      const isDayTransition = this.currentDayStart !== null && this.epochAt(prevEnd) < this.currentDayStart;
+      this.handleGapAcceleration(Math.max(0, this.simulationTime - prevEnd), isDayTransition);
+      return;
+    }
+    if (this.nextTripIndex >= this.trips.length) {
+      // No more trips, maintain current speed
+      return;
+    }
+
+    const nextTrip = this.trips[this.nextTripIndex];
+    const gapDuration = nextTrip.startTime - this.simulationTime;
+
+    // Handle day transitions: the next trip starts after the current New York day ends
+    const isDayTransition = this.nextDayStart !== null && this.epochAt(nextTrip.startTime) >= this.nextDayStart;
+    this.handleGapAcceleration(Math.max(0, gapDuration), isDayTransition);
+  }
+
+  // Works on speed magnitudes; the playback direction (sign of userSpeed) is kept
+  handleGapAcceleration(gapDuration, isDayTransition) {
+    const dir = this.userSpeed < 0 ? -1 : 1;
+    const userSpeed = Math.abs(this.userSpeed);
+    let speed = Math.abs(this.speed);
+    // Calculate how long this gap would take at current user speed (in real seconds)
+    const realTimeAtUserSpeed = gapDuration / userSpeed;
+
+    if (realTimeAtUserSpeed <= this.maxRealWaitTime) {
+      // Gap is short enough at normal speed, no acceleration needed
+      this.endGapAccel();
+      return;
+    }
+
+    // Gap is too long, activate acceleration
+    if (!this.gapAccelActive) {
+      this.gapAccelActive = true;
+      this.fire('gapaccelstart', { gap: gapDuration, dayTransition: isDayTransition });
+    }
+
+    let targetSpeed;
+
+    if (isDayTransition || gapDuration > this.longGapThreshold) {
+      // Multi-day or long gaps: use extreme speed
+      targetSpeed = this.extremeGapSpeed;
+    } else if (gapDuration > this.shortGapThreshold) {
+      // Medium gaps: use moderate speed
+      targetSpeed = this.moderateGapSpeed;
+    } else {
+      // Short gaps: calculate adaptive speed to complete in maxRealWaitTime
+      targetSpeed = Math.max(
+        userSpeed,
+        Math.min(
+          this.moderateGapSpeed,
+          gapDuration / this.maxRealWaitTime
+        )
+      );
+    }
+
+    // Smooth speed transitions to avoid jarring changes
+    const speedDiff = targetSpeed - speed;
+    const maxSpeedChangePerCheck = userSpeed * 10; // Allow faster transitions
+
+    if (Math.abs(speedDiff) > maxSpeedChangePerCheck) {
+      speed += Math.sign(speedDiff) * maxSpeedChangePerCheck;
+    } else {
+      speed = targetSpeed;
+    }
+
+    // Ensure speed stays within reasonable bounds
+    speed = Math.max(userSpeed, Math.min(this.extremeGapSpeed, speed));
+    this.speed = dir * speed;
+  }
+
+  dispose() {
+    this.playing = false;
+    this.active.length = 0;
+    this.cappedTrips.length = 0;
+    this.listeners.length = 0;
+    this.events.clear();
+    this.trips = [];
+    this.allTrips = [];
+    this.nextTripIndex = 0;
+  }
+}
@@ -0,0 +1,111 @@
+import { FLEET_LABELS, PAYMENT_LABELS } from '../data/schemas.js';
+import { nyOffsetMs } from '../utils/nyTime.js';
+
+// Composable trip filters. A filter set is a list of clauses, at most one per field, and a trip has to pass
+// all of them. Range clauses { field, min, max } (either bound may be null) test a numeric field, inclusive;
+// set clauses { field, values } test a categorical one. Trips missing a filtered field (NaN / null, e.g. FHV
+// rows have no fare) never pass. Pure data; the engine applies the predicate (SimulationEngine.setFilter).
+
+const HOUR_MS = 3600000;
+const pad = (n) => String(n).padStart(2, '0');
+
+// New York clock hour of the pickup (0-23)
+const pickupHour = (trip) => Math.floor((trip.pickupTimestamp + nyOffsetMs(trip.pickupTimestamp)) / HOUR_MS) % 24;
+
+// key -> { label, type: 'range' | 'set', value(trip), step?, format?(v) / formatMax?(v) (range), labels? (set) }
+export const FILTER_FIELDS = {
+  fare: { label: 'Fare', type: 'range', value: (trip) => trip.fare, step: 1, format: (v) => `$${v}` },
+  passengers: { label: 'Passengers', type: 'range', value: (trip) => trip.passengers, step: 1 },
+  distance: { label: 'Distance', type: 'range', value: (trip) => trip.distance, step: 0.5, format: (v) => `${v} mi` },
+  duration: { label: 'Duration', type: 'range', value: (trip) => (trip.endTime - trip.startTime) / 60, step: 1, format: (v) => `${v} min` },
+  // min > max wraps past midnight (22-3 = overnight); max is the whole hour, so 7-9 runs to 9:59
+  hour: { label: 'Hour of day', type: 'range', value: pickupHour, step: 1, min: 0, max: 23, wraps: true, format: (v) => `${pad(v)}:00`, formatMax: (v) => `${pad(v)}:59` },
+  fleet: { label: 'Fleet', type: 'set', value: (trip) => trip.fleet, labels: FLEET_LABELS },
+  vendor: { label: 'Vendor', type: 'set', value: (trip) => trip.vendor },
+  payment: { label: 'Payment type', type: 'set', value: (trip) => trip.payment, labels: PAYMENT_LABELS }
+};
+
+function clauseTest(clause) {
+  const field = FILTER_FIELDS[clause.field];
+  if (!field) return null;
+  const value = field.value;
+  if (field.type === 'set') {
+    // Compared as strings: select options and URL values are strings, vendors may be numbers
+    const values = new Set((clause.values || []).map(String));
+    return (trip) => {
+      const v = value(trip);
+      return v !== null && v !== undefined && values.has(String(v));
+    };
+  }
+  const min = clause.min ?? null, max = clause.max ?? null;
+  if (min === null && max === null) return null;
+  if (field.wraps && min !== null && max !== null && min > max) {
+    return (trip) => {
+      const v = value(trip);
+      return v >= min || v <= max;
+    };
+  }
+  const lo = min ?? -Infinity, hi = max ?? Infinity;
+  return (trip) => {
+    const v = value(trip);
+    return v >= lo && v <= hi;
+  };
+}
+
+// Predicate passing trips that satisfy every clause; null when no clause restricts anything
+export function createTripFilter(clauses) {
+  const tests = (clauses || []).map(clauseTest).filter(Boolean);
+  if (!tests.length) return null;
+  return (trip) => {
+    for (let i = 0; i < tests.length; i++) if (!tests[i](trip)) return false;
+    return true;
+  };
+}
+
+// Predicate passing trips that pass every given predicate (nulls ignored); null when none is given
+export function allOf(...predicates) {
+  const list = predicates.filter(Boolean);
+  if (list.length < 2) return list[0] || null;
+  return (trip) => list.every(p => p(trip));
+}
+
+// Clause list with `clause` added, replacing any clause on the same field
+export function setClause(clauses, clause) {
+  const out = clauses.filter(c => c.field !== clause.field);
+  out.push(clause);
+  return out;
+}
+
+export function removeClause(clauses, field) {
+  return clauses.filter(c => c.field !== field);
+}
+
+const valueLabel = (field, v) => (field.labels && field.labels[v]) || String(v);
+
+// Chip text, e.g. "Fare $10–$50", "Passengers ≥ 2", "Payment type: Card, Cash"
+export function describeClause(clause) {
+  const field = FILTER_FIELDS[clause.field];
+  if (!field) return clause.field;
+  if (field.type === 'set') {
+    const labels = (clause.values || []).map(v => valueLabel(field, v));
+    const shown = labels.length > 3 ? labels.slice(0, 2).join(', ') + ` +${labels.length - 2}` : labels.join(', ');
+    return `${field.label}: ${shown || 'none'}`;
+  }
+  const fmt = field.format || String;
+  const fmtMax = field.formatMax || fmt;
+  const min = clause.min ?? null, max = clause.max ?? null;
+  if (min !== null && max !== null) return `${field.label} ${fmt(min)}–${fmtMax(max)}`;
+  return min !== null ? `${field.label} ≥ ${fmt(min)}` : `${field.label} ≤ ${fmtMax(max)}`;
+}
+
+// Distinct values of a set field over trips, most frequent first: [{ value, label, count }]
+export function fieldValues(trips, key, limit = 20) {
+  const field = FILTER_FIELDS[key];
+  const counts = new Map();
+  for (const trip of trips) {
+    const v = field.value(trip);
+    if (v === null || v === undefined || v === '') continue;
+    counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([value, count]) => ({ value, label: valueLabel(field, value), count }));
+}
@@ -0,0 +1,51 @@
+import { pointInRing, ringBounds } from '../utils/polygon.js';
+
+// Origin-destination regions: polygons drawn on the ground plane (rings of world [x, z] points), each marked
+// 'origin' or 'destination'. A trip belongs to the selected flow when its pickup lies in any origin region
+// (if there are origin regions) and its dropoff in any destination region (if there are destination
+// regions). Pure data; the scene overlay lives in scene/regions.js.
+
+export const REGION_ROLES = ['origin', 'destination'];
+
+export function createRegion(ring, role, id) {
+  return { id, role: role === 'destination' ? 'destination' : 'origin', ring, bounds: ringBounds(ring) };
+}
+
+export function regionContains(region, x, z) {
+  const b = region.bounds;
+  if (x < b.minX || x > b.maxX || z < b.minY || z > b.maxY) return false;
+  return pointInRing(x, z, region.ring);
+}
+
+const inAny = (regions, pos) => {
+  if (!pos) return false;
+  for (const region of regions) if (regionContains(region, pos.x, pos.z)) return true;
+  return false;
+};
+
+// Predicate for the flow between the regions; null when there are none
+export function createODFilter(regions) {
+  const origins = regions.filter(r => r.role === 'origin');
+  const destinations = regions.filter(r => r.role === 'destination');
+  if (!origins.length && !destinations.length) return null;
+  return (trip) => (!origins.length || inAny(origins, trip.startPos)) && (!destinations.length || inAny(destinations, trip.endPos));
+}
+
+function median(values) {
+  if (!values.length) return NaN;
+  values.sort((a, b) => a - b);
+  const mid = values.length >> 1;
+  return values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+}
+
+// { count, medianFare, medianDuration (s) } of a trip list; trips without a fare are left out of the fare median
+export function summarizeFlow(trips) {
+  const fares = [];
+  const durations = new Float64Array(trips.length);
+  for (let i = 0; i < trips.length; i++) {
+    const trip = trips[i];
+    if (Number.isFinite(trip.fare)) fares.push(trip.fare);
+    durations[i] = trip.endTime - trip.startTime;
+  }
+  return { count: trips.length, medianFare: median(fares), medianDuration: median(durations) };
+}
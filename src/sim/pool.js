@@ -1,42 +1,141 @@
 import * as THREE from 'three';
 
+// Orbs are drawn as one InstancedMesh. Each orb is a lightweight handle ({ index, position, scale,
+// color, opacity, userData }) owning one instance slot; syncPool() copies active handles into the
+// instance buffers once per frame. Free slots are kept on a stack, so acquiring an orb is O(1).
+
+const ORB_RADIUS = 0.25;
+const orbGeom = new THREE.SphereGeometry(ORB_RADIUS, 12, 12);
+
+// MeshBasicMaterial plus a per-instance opacity attribute (instance colors are built in)
+function createOrbMaterial() {
+  const mat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, depthWrite: false });
+  mat.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+      .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;');
+  };
+  return mat;
+}
+
+function createOrbMesh(capacity, material) {
+  const geom = orbGeom.clone(); // per-mesh so the instance attribute can be swapped on growth
+  geom.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+  const mesh = new THREE.InstancedMesh(geom, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  geom.getAttribute('instanceOpacity').setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceMatrix.array.fill(0); // zero scale: unused slots draw nothing
+  mesh.count = 0;
+  mesh.frustumCulled = false; // instances move every frame; the bounding sphere would go stale
+  mesh.name = 'Orbs';
+  return mesh;
+}
+
+function createHandle(index) {
+  return {
+    index,
+    active: false,
+    position: new THREE.Vector3(),
+    scale: new THREE.Vector3(1, 1, 1),
+    color: new THREE.Color(0xffffaa),
+    opacity: 0.55,
+    userData: { active: false }
+  };
+}
+
+// Pool with room for `size` orbs; add pool.group to the scene (it also holds the destination labels)
 export function createPool(size = 600) {
-  const pool = [];
-  const geom = new THREE.SphereGeometry(0.25, 12, 12);
-  for (let i = 0; i < size; i++) {
-  const mat = new THREE.MeshBasicMaterial({ color: 0xffffaa, transparent: true, opacity: 0.55 });
-    const m = new THREE.Mesh(geom, mat);
-    m.visible = false;
-    m.userData.active = false;
-    pool.push(m);
-  }
+  const material = createOrbMaterial();
+  const pool = {
+    group: new THREE.Group(),
+    labels: new THREE.Group(),
+    material,
+    mesh: createOrbMesh(Math.max(1, size), material),
+    orbs: [],
+    free: [],
+    highWater: 0 // 1 + highest slot index ever used (the instanced draw count)
+  };
+  pool.group.name = 'OrbPool';
+  pool.labels.name = 'OrbLabels';
+  pool.group.add(pool.mesh, pool.labels);
+  growPool(pool, size);
   return pool;
 }
 
-export function activateOrb(orb, trip, color) {
-  orb.visible = true;
+// Add `count` free slots, reallocating the instance buffers when the mesh is full
+export function growPool(pool, count) {
+  const needed = pool.orbs.length + count;
+  const old = pool.mesh;
+  if (needed > old.instanceMatrix.count) {
+    const mesh = createOrbMesh(Math.max(needed, old.instanceMatrix.count * 2), pool.material);
+    mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    mesh.instanceColor.array.set(old.instanceColor.array);
+    mesh.geometry.getAttribute('instanceOpacity').array.set(old.geometry.getAttribute('instanceOpacity').array);
+    mesh.count = old.count;
+    pool.group.remove(old);
+    old.geometry.dispose();
+    old.dispose();
+    pool.group.add(mesh);
+    pool.mesh = mesh;
+  }
+  const added = [];
+  for (let i = 0; i < count; i++) {
+    const orb = createHandle(pool.orbs.length);
+    pool.orbs.push(orb);
+    added.push(orb);
+  }
+  // Hand out low indices first so the draw count stays tight
+  for (let i = added.length - 1; i >= 0; i--) pool.free.push(added[i].index);
+  return added;
+}
+
+// Free orb from the pool, growing it by half when every orb is in use
+export function acquireOrb(pool) {
+  if (!pool.free.length) growPool(pool, Math.max(64, pool.orbs.length >> 1));
+  const orb = pool.orbs[pool.free.pop()];
+  if (orb.index >= pool.highWater) pool.highWater = orb.index + 1;
+  return orb;
+}
+
+export function releaseOrb(pool, orb) {
+  if (orb.active) deactivateOrb(orb);
+  pool.free.push(orb.index);
+  // Collapse the instance slot so it draws nothing until reused
+  const m = pool.mesh.instanceMatrix.array;
+  m.fill(0, orb.index * 16, orb.index * 16 + 16);
+  pool.mesh.instanceMatrix.needsUpdate = true;
+}
+
+// scale: resting size from the size encoding (see encodings.js)
+export function activateOrb(orb, trip, color, scale) {
+  orb.active = true;
   orb.userData.active = true;
   orb.userData.trip = trip;
   orb.position.set(trip.startPos.x, 0.0, trip.startPos.z);
-  const s = Math.max(0.35, Math.log10(trip.fare + 1) * 0.45 + 0.15);
-  orb.userData.baseScale = s;
+  orb.userData.baseScale = scale;
+  orb.userData.hoverBoost = 1;
   // Start effect: begin tiny and flash
-  orb.scale.setScalar(s * 0.05); // tiny seed
-  orb.material.color.set(0xffffff); // start flash white
-  orb.material.opacity = 1.0;
+  orb.scale.setScalar(scale * 0.05); // tiny seed
+  orb.color.set(0xffffff); // start flash white
+  orb.opacity = 1.0;
   const now = performance.now();
   orb.userData.spawnTime = now;
   orb.userData.startDuration = 500; // ms
   orb.userData.finishDuration = 500; // ms
   orb.userData.finishStarted = false;
   orb.userData.finishStart = 0;
-  orb.userData.intendedColor = new THREE.Color(color);
+  (orb.userData.intendedColor ||= new THREE.Color()).set(color);
   // label placeholder; actual label sprite assigned externally
   orb.userData.label = null;
 }
 
 export function deactivateOrb(orb) {
-  orb.visible = false;
+  orb.active = false;
   orb.userData.active = false;
   orb.userData.trip = null;
   orb.userData.baseScale = 0.4;
@@ -47,3 +146,53 @@ export function deactivateOrb(orb) {
     orb.userData.label = null;
   }
 }
+
+// Copy every active orb's position / scale / color / opacity into the instance buffers
+export function syncPool(pool) {
+  const mesh = pool.mesh;
+  const m = mesh.instanceMatrix.array;
+  const c = mesh.instanceColor.array;
+  const opacity = mesh.geometry.getAttribute('instanceOpacity');
+  const o = opacity.array;
+  for (let i = 0; i < pool.highWater; i++) {
+    const orb = pool.orbs[i];
+    if (!orb.active) continue;
+    const s = orb.scale.x * (orb.userData.hoverBoost || 1);
+    // Uniform scale + translation; off-diagonal entries stay zero (buffers start zeroed, releases re-zero)
+    const k = i * 16;
+    m[k] = s; m[k+5] = s; m[k+10] = s;
+    m[k+12] = orb.position.x; m[k+13] = orb.position.y; m[k+14] = orb.position.z; m[k+15] = 1;
+    c[i*3] = orb.color.r; c[i*3+1] = orb.color.g; c[i*3+2] = orb.color.b;
+    o[i] = orb.opacity;
+  }
+  mesh.count = pool.highWater;
+  mesh.instanceMatrix.needsUpdate = true;
+  mesh.instanceColor.needsUpdate = true;
+  opacity.needsUpdate = true;
+}
+
+// Nearest active orb hit by a ray (sphere test per orb; the instanced mesh itself is never raycast)
+export function pickOrb(pool, ray) {
+  let best = null, bestDist = Infinity;
+  for (let i = 0; i < pool.highWater; i++) {
+    const orb = pool.orbs[i];
+    if (!orb.active) continue;
+    const r = ORB_RADIUS * orb.scale.x * (orb.userData.hoverBoost || 1);
+    if (ray.distanceSqToPoint(orb.position) > r * r) continue;
+    const d = ray.origin.distanceToSquared(orb.position);
+    if (d < bestDist) { bestDist = d; best = orb; }
+  }
+  return best;
+}
+
+// Remove the pool from the scene and free its GPU buffers and labels (the base sphere geometry is shared and kept)
+export function disposePool(pool) {
+  for (const orb of pool.orbs) if (orb.active) deactivateOrb(orb);
+  if (pool.group.parent) pool.group.parent.remove(pool.group);
+  pool.mesh.geometry.dispose();
+  pool.mesh.dispose();
+  pool.material.dispose();
+  pool.orbs.length = 0;
+  pool.free.length = 0;
+  pool.highWater = 0;
+}
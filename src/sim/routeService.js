@@ -0,0 +1,91 @@
+// Main-thread side of the route worker (routeWorker.js). Routes are requested by routeKey (routing.js),
+// batched per frame with flush(), and delivered through onRoute(key, result) with result
+// { coords: Float32Array of x, z pairs, types } or null when the graph does not connect the endpoints.
+// Delivered routes stay in memory for the current graph; setGraph() starts over for a new one.
+// Returns null where module workers are unavailable (callers route synchronously instead).
+export function createRouteService({ onRoute } = {}) {
+  if (typeof Worker === 'undefined') return null;
+  let worker;
+  try {
+    worker = new Worker(new URL('./routeWorker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    return null;
+  }
+  let version = null;
+  let dataset = '';
+  let persist = true;
+  const routes = new Map(); // key -> result (null = not connected)
+  const pending = new Map(); // key -> urgent, requested and not delivered yet
+  let outgoing = [], outgoingUrgent = [];
+
+  const service = {
+    failed: false, // worker crashed; callers fall back to synchronous routing
+
+    setGraph(graph) {
+      version = graph ? graph.version : null;
+      routes.clear();
+      pending.clear();
+      outgoing = [];
+      outgoingUrgent = [];
+      if (graph) worker.postMessage({ type: 'graph', graph });
+    },
+
+    // Dataset key for the persistent cache (data/routeCache.js); persist = false keeps routes in memory only
+    setDataset(key, { persist: keep = true } = {}) {
+      dataset = key || '';
+      persist = keep;
+    },
+
+    // Delivered route for key, or undefined when not known yet
+    get(key) {
+      return routes.get(key);
+    },
+
+    // Ask for a route unless it is known or on its way; urgent ones (trips on screen) jump the worker queue
+    request(key, ax, az, bx, bz, urgent = false) {
+      if (version === null || routes.has(key)) return;
+      const wasUrgent = pending.get(key);
+      if (wasUrgent || (wasUrgent === false && !urgent)) return;
+      pending.set(key, urgent);
+      (urgent ? outgoingUrgent : outgoing).push({ key, ax, az, bx, bz });
+    },
+
+    // Post this frame's requests
+    flush() {
+      if (outgoingUrgent.length) worker.postMessage({ type: 'route', dataset, version, persist, urgent: true, requests: outgoingUrgent });
+      if (outgoing.length) worker.postMessage({ type: 'route', dataset, version, persist, urgent: false, requests: outgoing });
+      outgoing = [];
+      outgoingUrgent = [];
+    },
+
+    // Drop prefetches still queued (the playhead jumped); urgent requests are kept
+    clearQueue() {
+      for (const [key, urgent] of pending) if (!urgent) pending.delete(key);
+      outgoing = [];
+      worker.postMessage({ type: 'clear' });
+    },
+
+    dispose() {
+      worker.terminate();
+      routes.clear();
+      pending.clear();
+    }
+  };
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (!msg || msg.type !== 'routes' || msg.version !== version) return;
+    for (const { key, coords, types } of msg.results) {
+      const result = coords ? { coords, types } : null;
+      routes.set(key, result);
+      pending.delete(key);
+      if (onRoute) onRoute(key, result);
+    }
+  };
+  worker.onerror = (e) => {
+    console.warn('[Routes] Route worker failed; routing on the main thread', e.message || e);
+    service.failed = true;
+    worker.terminate();
+  };
+  return service;
+}
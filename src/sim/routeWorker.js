@@ -0,0 +1,118 @@
+import { routeBetween } from './routing.js';
+import { getCachedRoutes, putCachedRoutes, deleteOtherVersions } from '../data/routeCache.js';
+
+// Route worker: holds a copy of the road graph (routing.js) and answers route requests off the main thread.
+// Requests are looked up in the IndexedDB route cache first; misses are queued (urgent ones, for trips
+// already on screen, in their own queue searched before prefetches) and searched in time slices so new messages are picked up between
+// slices. Results are posted as { type: 'routes', version, results: [{ key, coords, types }] } with coords
+// transferred, and written back to the cache. When the cache is first used, routes of other graph versions are
+// deleted (later versions in the same session are kept, so toggling roads back still hits).
+//   { type: 'graph', graph }                                   replace the graph, drop the queue
+//   { type: 'route', dataset, version, persist, urgent, requests: [{ key, ax, az, bx, bz }] }
+//   { type: 'clear' }                                          drop queued prefetches (after a seek)
+
+const SLICE_MS = 12;
+
+let graph = null;
+const urgentQueue = createQueue(); // requests for trips on screen, searched first
+const prefetchQueue = createQueue(); // requests ahead of the playhead
+let generation = 0; // bumped when the queue is dropped, so cache lookups still in flight are discarded
+let pumping = false;
+let cacheUsable = true;
+let pruned = false; // routes of other graph versions deleted
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (!msg) return;
+  if (msg.type === 'graph') {
+    graph = msg.graph;
+    urgentQueue.clear();
+    prefetchQueue.clear();
+    generation++;
+  } else if (msg.type === 'clear') {
+    prefetchQueue.clear();
+    generation++;
+  } else if (msg.type === 'route') {
+    if (graph && msg.version === graph.version) enqueue(msg);
+  }
+};
+
+async function enqueue({ dataset, version, persist, urgent, requests }) {
+  const gen = generation;
+  let misses = requests;
+  if (persist && cacheUsable) {
+    // Queued ahead of the lookup below (IndexedDB runs transactions on a store in order)
+    if (!pruned) {
+      pruned = true;
+      deleteOtherVersions(version).catch(() => {});
+    }
+    try {
+      const found = await getCachedRoutes(dataset, version, requests.map(r => r.key));
+      if (found.size) {
+        post(version, [...found].map(([key, value]) => ({ key, coords: value.coords, types: value.types })));
+        misses = requests.filter(r => !found.has(r.key));
+      }
+    } catch (err) {
+      cacheUsable = false; // no IndexedDB here (or it failed): search everything
+    }
+    // An urgent batch is still wanted after a seek; prefetches from before it are not
+    if (!urgent && gen !== generation) return;
+    if (!graph || graph.version !== version) return;
+  }
+  (urgent ? urgentQueue : prefetchQueue).push(misses.map(r => ({ ...r, dataset, persist })));
+  pump();
+}
+
+function pump() {
+  if (pumping) return;
+  pumping = true;
+  setTimeout(runSlice, 0);
+}
+
+function runSlice() {
+  pumping = false;
+  if (!graph || !(urgentQueue.size + prefetchQueue.size)) return;
+  const version = graph.version;
+  const results = [];
+  const stored = new Map(); // dataset -> entries to persist
+  const deadline = performance.now() + SLICE_MS;
+  while (performance.now() < deadline) {
+    const r = urgentQueue.size ? urgentQueue.shift() : prefetchQueue.shift();
+    if (!r) break;
+    const routed = routeBetween(graph, r.ax, r.az, r.bx, r.bz);
+    const result = { key: r.key, coords: routed ? routed.coords : null, types: routed ? routed.types : [] };
+    results.push(result);
+    if (r.persist) {
+      if (!stored.has(r.dataset)) stored.set(r.dataset, []);
+      // Own copy: the posted buffer is transferred before the cache transaction runs
+      stored.get(r.dataset).push({ ...result, coords: result.coords && result.coords.slice() });
+    }
+  }
+  if (cacheUsable) for (const [dataset, entries] of stored) putCachedRoutes(dataset, version, entries).catch(() => { cacheUsable = false; });
+  post(version, results);
+  if (urgentQueue.size + prefetchQueue.size) pump();
+}
+
+// FIFO with a moving head, so taking a request is O(1); the consumed front is dropped once it is most of the array
+function createQueue() {
+  let items = [];
+  let head = 0;
+  return {
+    get size() { return items.length - head; },
+    push(list) { for (const item of list) items.push(item); },
+    shift() {
+      if (head === items.length) return undefined;
+      const item = items[head];
+      items[head++] = undefined;
+      if (head >= 1024 && head * 2 >= items.length) { items = items.slice(head); head = 0; }
+      return item;
+    },
+    clear() { items = []; head = 0; }
+  };
+}
+
+function post(version, results) {
+  const transfer = [];
+  for (const r of results) if (r.coords) transfer.push(r.coords.buffer);
+  self.postMessage({ type: 'routes', version, results }, transfer);
+}
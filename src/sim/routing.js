@@ -0,0 +1,232 @@
+import { createMinHeap } from '../utils/minHeap.js';
+
+// Road routing on the ground plane. The graph is plain typed arrays (nodes, CSR adjacency, per-edge length and
+// road type) plus a uniform grid over the nodes for nearest-node snapping, so it has no three.js dependency
+// and can be copied to a worker as is. Routes are A* searches with the straight-line distance as heuristic;
+// edge lengths are straight-line distances between their nodes, so it is admissible and consistent and a
+// node's first expansion is final.
+
+export const NODE_PRECISION = 0.5; // node dedupe cell in world units (smaller -> more nodes)
+const NODES_PER_CELL = 4; // target grid occupancy
+
+// polylines: arrays of { x, z } points; types[i] is the highway type of polylines[i] (reported per route
+// segment). Consecutive points become undirected edges; points falling in the same precision cell share a node.
+export function buildRoadGraph(polylines, types = [], { precision = NODE_PRECISION } = {}) {
+  const nodeIds = new Map(); // "ix,iz" cell -> node index
+  const xs = [], zs = [];
+  const typeNames = [null]; // edgeType 0 = unknown
+  const typeIds = new Map();
+  const from = [], to = [], edgeTypes = [];
+  const nodeFor = (p) => {
+    const k = Math.round(p.x / precision) + ',' + Math.round(p.z / precision);
+    let id = nodeIds.get(k);
+    if (id === undefined) {
+      id = xs.length;
+      nodeIds.set(k, id);
+      xs.push(p.x);
+      zs.push(p.z);
+    }
+    return id;
+  };
+  polylines.forEach((line, li) => {
+    const type = types[li] || null;
+    let typeId = 0;
+    if (type) {
+      typeId = typeIds.get(type);
+      if (typeId === undefined) { typeId = typeNames.length; typeNames.push(type); typeIds.set(type, typeId); }
+    }
+    for (let i = 0; i < line.length - 1; i++) {
+      const a = nodeFor(line[i]), b = nodeFor(line[i + 1]);
+      if (a === b) continue;
+      from.push(a); to.push(b); edgeTypes.push(typeId);
+    }
+  });
+
+  // CSR adjacency, each edge stored in both directions
+  const n = xs.length;
+  const x = Float64Array.from(xs), z = Float64Array.from(zs);
+  const edgeStart = new Int32Array(n + 1);
+  for (let e = 0; e < from.length; e++) { edgeStart[from[e] + 1]++; edgeStart[to[e] + 1]++; }
+  for (let i = 0; i < n; i++) edgeStart[i + 1] += edgeStart[i];
+  const fill = edgeStart.slice(0, n);
+  const edgeTo = new Int32Array(from.length * 2);
+  const edgeLength = new Float64Array(from.length * 2);
+  const edgeType = new Uint8Array(from.length * 2);
+  const link = (a, b, length, type) => {
+    const slot = fill[a]++;
+    edgeTo[slot] = b;
+    edgeLength[slot] = length;
+    edgeType[slot] = type;
+  };
+  for (let e = 0; e < from.length; e++) {
+    const a = from[e], b = to[e];
+    const length = Math.hypot(x[a] - x[b], z[a] - z[b]);
+    link(a, b, length, edgeTypes[e]);
+    link(b, a, length, edgeTypes[e]);
+  }
+  const graph = { nodeCount: n, x, z, edgeStart, edgeTo, edgeLength, edgeType, typeNames, grid: buildNodeGrid(x, z) };
+  graph.version = graphVersion(graph);
+  return graph;
+}
+
+// Content hash of a graph (FNV-1a over quantized node positions, adjacency and road types): the same road
+// selection gives the same version across rebuilds and reloads, so persisted routes can be reused
+function graphVersion(graph) {
+  let h = 0x811c9dc5;
+  const mix = (v) => { h = Math.imul(h ^ (v | 0), 0x01000193); };
+  mix(graph.nodeCount);
+  for (let i = 0; i < graph.nodeCount; i++) { mix(Math.round(graph.x[i] * 1000)); mix(Math.round(graph.z[i] * 1000)); }
+  for (let e = 0; e < graph.edgeTo.length; e++) { mix(graph.edgeTo[e]); mix(graph.edgeType[e]); }
+  for (let i = 0; i <= graph.nodeCount; i++) mix(graph.edgeStart[i]);
+  for (const name of graph.typeNames) for (const ch of String(name)) mix(ch.charCodeAt(0));
+  return (h >>> 0).toString(36) + '-' + graph.nodeCount.toString(36) + '-' + (graph.edgeTo.length / 2).toString(36);
+}
+
+// Endpoints snapping to the same precision cells share a route (cache key for a start / end pair)
+export function routeKey(ax, az, bx, bz) {
+  return Math.round(ax / NODE_PRECISION) + ',' + Math.round(az / NODE_PRECISION) + '|' + Math.round(bx / NODE_PRECISION) + ',' + Math.round(bz / NODE_PRECISION);
+}
+
+// Uniform grid bucketing the nodes (CSR: cellStart / cellNodes), sized for a few nodes per cell
+function buildNodeGrid(x, z) {
+  const n = x.length;
+  let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < n; i++) {
+    if (x[i] < minX) minX = x[i];
+    if (x[i] > maxX) maxX = x[i];
+    if (z[i] < minZ) minZ = z[i];
+    if (z[i] > maxZ) maxZ = z[i];
+  }
+  if (!n) return { minX: 0, minZ: 0, cellSize: 1, cols: 0, rows: 0, cellStart: new Int32Array(1), cellNodes: new Int32Array(0) };
+  const width = Math.max(maxX - minX, 1e-6), depth = Math.max(maxZ - minZ, 1e-6);
+  const cellSize = Math.max(Math.sqrt((width * depth * NODES_PER_CELL) / n), 1e-6);
+  const cols = Math.max(1, Math.ceil(width / cellSize)), rows = Math.max(1, Math.ceil(depth / cellSize));
+  const cellOf = (i) => Math.min(rows - 1, Math.floor((z[i] - minZ) / cellSize)) * cols + Math.min(cols - 1, Math.floor((x[i] - minX) / cellSize));
+  const cellStart = new Int32Array(cols * rows + 1);
+  for (let i = 0; i < n; i++) cellStart[cellOf(i) + 1]++;
+  for (let c = 0; c < cols * rows; c++) cellStart[c + 1] += cellStart[c];
+  const fill = cellStart.slice(0, cols * rows);
+  const cellNodes = new Int32Array(n);
+  for (let i = 0; i < n; i++) cellNodes[fill[cellOf(i)]++] = i;
+  return { minX, minZ, cellSize, cols, rows, cellStart, cellNodes };
+}
+
+// Index of the node closest to (px, pz), or -1 for an empty graph. Searches rings of grid cells outward from
+// the query's cell and stops once no unvisited cell can hold anything closer.
+export function nearestNode(graph, px, pz) {
+  const { x, z } = graph;
+  const { minX, minZ, cellSize, cols, rows, cellStart, cellNodes } = graph.grid;
+  if (!graph.nodeCount) return -1;
+  const cx = Math.min(cols - 1, Math.max(0, Math.floor((px - minX) / cellSize)));
+  const cz = Math.min(rows - 1, Math.max(0, Math.floor((pz - minZ) / cellSize)));
+  let best = -1, bestD2 = Infinity;
+  const scan = (c, r) => {
+    if (c < 0 || c >= cols || r < 0 || r >= rows) return;
+    const cell = r * cols + c;
+    for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+      const i = cellNodes[k];
+      const dx = x[i] - px, dz = z[i] - pz;
+      const d2 = dx * dx + dz * dz;
+      if (d2 < bestD2) { bestD2 = d2; best = i; }
+    }
+  };
+  for (let ring = 0; ; ring++) {
+    if (ring === 0) scan(cx, cz);
+    else {
+      for (let c = cx - ring; c <= cx + ring; c++) { scan(c, cz - ring); scan(c, cz + ring); }
+      for (let r = cz - ring + 1; r <= cz + ring - 1; r++) { scan(cx - ring, r); scan(cx + ring, r); }
+    }
+    if (cx - ring <= 0 && cz - ring <= 0 && cx + ring >= cols - 1 && cz + ring >= rows - 1) break; // whole grid seen
+    if (best >= 0) {
+      // Distance from the query to the edge of the block searched so far (negative when it lies outside)
+      const margin = Math.min(
+        px - (minX + (cx - ring) * cellSize), minX + (cx + ring + 1) * cellSize - px,
+        pz - (minZ + (cz - ring) * cellSize), minZ + (cz + ring + 1) * cellSize - pz
+      );
+      if (margin > 0 && bestD2 <= margin * margin) break;
+    }
+  }
+  return best;
+}
+
+// Per-graph search scratch (scores, back links, visit stamps, heap), reused across searches so a route costs
+// only the nodes it touches
+const searchStates = new WeakMap();
+
+function searchState(graph) {
+  let state = searchStates.get(graph);
+  if (!state) {
+    const n = graph.nodeCount;
+    state = {
+      g: new Float64Array(n),
+      prev: new Int32Array(n),
+      prevEdge: new Int32Array(n),
+      seen: new Uint32Array(n), // == stamp: g / prev are valid for this search
+      done: new Uint32Array(n), // == stamp: expanded
+      stamp: 0,
+      heap: createMinHeap()
+    };
+    searchStates.set(graph, state);
+  }
+  if (state.stamp === 0xffffffff) { state.seen.fill(0); state.done.fill(0); state.stamp = 0; }
+  state.stamp++;
+  state.heap.clear();
+  return state;
+}
+
+// Shortest route between two nodes: { nodes: node indices, types: highway type per segment (nodes.length - 1) },
+// or null when they are not connected
+export function findRoute(graph, source, target) {
+  if (source < 0 || target < 0) return null;
+  if (source === target) return { nodes: [source], types: [] };
+  const { x, z, edgeStart, edgeTo, edgeLength } = graph;
+  const { g, prev, prevEdge, seen, done, stamp, heap } = searchState(graph);
+  const tx = x[target], tz = z[target];
+  const h = (i) => Math.hypot(x[i] - tx, z[i] - tz);
+  g[source] = 0;
+  prev[source] = -1;
+  seen[source] = stamp;
+  heap.push(source, h(source));
+  let found = false;
+  while (heap.size) {
+    const u = heap.pop();
+    if (done[u] === stamp) continue; // stale entry
+    if (u === target) { found = true; break; }
+    done[u] = stamp;
+    const gu = g[u];
+    for (let e = edgeStart[u]; e < edgeStart[u + 1]; e++) {
+      const w = edgeLength[e];
+      if (w === 0) continue;
+      const v = edgeTo[e];
+      if (done[v] === stamp) continue;
+      const alt = gu + w;
+      if (seen[v] !== stamp || alt < g[v]) {
+        seen[v] = stamp;
+        g[v] = alt;
+        prev[v] = u;
+        prevEdge[v] = e;
+        heap.push(v, alt + h(v));
+      }
+    }
+  }
+  if (!found) return null;
+  const nodes = [];
+  const types = [];
+  for (let cur = target; cur !== -1; cur = prev[cur]) {
+    nodes.push(cur);
+    if (cur !== source) types.push(graph.typeNames[graph.edgeType[prevEdge[cur]]]);
+  }
+  nodes.reverse();
+  types.reverse();
+  return { nodes, types };
+}
+
+// Route between two ground points snapped to their nearest nodes: { coords: Float32Array of x, z pairs, types:
+// highway type per segment }, or null when the nodes are not connected or the snapped route is a single node
+export function routeBetween(graph, ax, az, bx, bz) {
+  const route = findRoute(graph, nearestNode(graph, ax, az), nearestNode(graph, bx, bz));
+  if (!route || route.nodes.length < 2) return null;
+  const coords = new Float32Array(route.nodes.length * 2);
+  route.nodes.forEach((node, i) => { coords[i * 2] = graph.x[node]; coords[i * 2 + 1] = graph.z[node]; });
+  return { coords, types: route.types };
+}
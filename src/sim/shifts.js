@@ -0,0 +1,155 @@
+// Shift reconstruction: link each dropoff to a plausible next pickup of the same fleet nearby in space and
+// time, so chains of trips approximate one vehicle's shift. The gaps inside a chain become deadhead legs
+// (the empty taxi cruising from one dropoff to the next pickup), which the view draws on their own engine.
+// Greedy in dropoff order: each dropoff takes the unclaimed pickup with the lowest cost (idle time plus a
+// per-km penalty) that it could reach at cruising speed. Pure data; no three.js.
+
+export const SHIFT_DEFAULTS = {
+  maxIdle: 1800, // s between a dropoff and the next pickup
+  maxDistance: 3, // km between a dropoff and the next pickup
+  cruiseSpeed: 20, // km/h an empty taxi can manage in city traffic
+  detour: 1.3, // street distance / straight-line distance
+  kmPenalty: 60 // s of idle time one km of cruising is worth when ranking candidates
+};
+
+const KM_PER_DEG_LAT = 111.32;
+// km per degree of longitude at New York's latitude (equirectangular distances are plenty at city scale)
+const KM_PER_DEG_LON = KM_PER_DEG_LAT * Math.cos(40.7 * Math.PI / 180);
+
+// First position in the cell (pickups in start order) starting at or after t
+function firstStartingAt(cell, t) {
+  const starts = cell.starts;
+  let lo = 0, hi = starts.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (starts[mid] < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// First unclaimed position >= c: cell.skip links claimed positions onward (path-compressed), so pickups
+// taken by earlier dropoffs cost nothing to step over
+function nextFree(cell, c) {
+  const skip = cell.skip;
+  let r = c;
+  while (skip[r] !== r) r = skip[r];
+  while (skip[c] !== r) { const next = skip[c]; skip[c] = r; c = next; }
+  return r;
+}
+
+// trips sorted by startTime. Returns { legs, shifts, linkedTrips, paidSeconds, idleSeconds, utilization }:
+// legs are trip-like deadhead records ({ deadhead, from, to, startTime, endTime, startPos, endPos, ... })
+// sorted by startTime; utilization is the share of chained shift time spent carrying passengers.
+export function reconstructShifts(trips, options = {}) {
+  const { maxIdle, maxDistance, cruiseSpeed, detour, kmPenalty } = { ...SHIFT_DEFAULTS, ...options };
+  const n = trips.length;
+  const next = new Int32Array(n).fill(-1);
+  const claimed = new Uint8Array(n);
+
+  // Pickups bucketed on a lon/lat grid of about maxDistance, in start order within each cell. Start times and
+  // coordinates are copied into typed arrays per cell, since the scan below touches many candidates.
+  const cellLat = maxDistance / KM_PER_DEG_LAT;
+  const cellLon = maxDistance / KM_PER_DEG_LON;
+  const key = (cx, cy) => `${cx},${cy}`;
+  const grid = new Map();
+  const cellOf = new Array(n);
+  const posOf = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    const pos = trips[i].startPos;
+    if (!pos || !isFinite(pos.lon)) continue;
+    const k = key(Math.floor(pos.lon / cellLon), Math.floor(pos.lat / cellLat));
+    if (!grid.has(k)) grid.set(k, { trips: [] });
+    const cell = grid.get(k);
+    cellOf[i] = cell;
+    posOf[i] = cell.trips.length;
+    cell.trips.push(i);
+  }
+  for (const cell of grid.values()) {
+    const m = cell.trips.length;
+    cell.starts = new Float64Array(m);
+    cell.lon = new Float64Array(m);
+    cell.lat = new Float64Array(m);
+    for (let c = 0; c < m; c++) {
+      const trip = trips[cell.trips[c]];
+      cell.starts[c] = trip.startTime;
+      cell.lon[c] = trip.startPos.lon;
+      cell.lat[c] = trip.startPos.lat;
+    }
+    cell.skip = Int32Array.from({ length: m + 1 }, (_, c) => c);
+  }
+
+  const byEnd = Array.from({ length: n }, (_, i) => i).sort((a, b) => trips[a].endTime - trips[b].endTime);
+  for (const i of byEnd) {
+    const trip = trips[i];
+    const pos = trip.endPos;
+    if (!pos || !isFinite(pos.lon)) continue;
+    const cx = Math.floor(pos.lon / cellLon), cy = Math.floor(pos.lat / cellLat);
+    let best = -1, bestCost = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cell = grid.get(key(cx + dx, cy + dy));
+        if (!cell) continue;
+        const len = cell.trips.length;
+        for (let c = nextFree(cell, firstStartingAt(cell, trip.endTime)); c < len; c = nextFree(cell, c + 1)) {
+          const idle = cell.starts[c] - trip.endTime;
+          // Later pickups in this cell only idle longer, and cost >= idle
+          if (idle > maxIdle || idle >= bestCost) break;
+          const ex = (cell.lon[c] - pos.lon) * KM_PER_DEG_LON;
+          const ey = (cell.lat[c] - pos.lat) * KM_PER_DEG_LAT;
+          const km = Math.sqrt(ex * ex + ey * ey);
+          if (km > maxDistance || km * detour / cruiseSpeed * 3600 > idle) continue;
+          const cost = idle + km * kmPenalty;
+          if (cost >= bestCost) continue;
+          const j = cell.trips[c];
+          if (j === i || trips[j].fleet !== trip.fleet) continue;
+          bestCost = cost;
+          best = j;
+        }
+      }
+    }
+    if (best >= 0) {
+      next[i] = best;
+      claimed[best] = 1;
+      cellOf[best].skip[posOf[best]] = posOf[best] + 1;
+    }
+  }
+
+  // Walk the chains from their first trip
+  const legs = [];
+  let shifts = 0, linkedTrips = 0, paidSeconds = 0, idleSeconds = 0;
+  for (let i = 0; i < n; i++) {
+    if (claimed[i] || next[i] < 0) continue;
+    shifts++;
+    for (let k = i; k >= 0; k = next[k]) {
+      const trip = trips[k];
+      linkedTrips++;
+      paidSeconds += trip.endTime - trip.startTime;
+      const j = next[k];
+      if (j < 0) break;
+      const to = trips[j];
+      idleSeconds += to.startTime - trip.endTime;
+      if (to.startTime > trip.endTime) legs.push(createLeg(trip, to));
+    }
+  }
+  legs.sort((a, b) => a.startTime - b.startTime);
+  const total = paidSeconds + idleSeconds;
+  return { legs, shifts, linkedTrips, paidSeconds, idleSeconds, utilization: total > 0 ? paidSeconds / total : NaN };
+}
+
+// Trip-shaped record for the empty cruise from one dropoff to the next pickup
+function createLeg(from, to) {
+  return {
+    id: 'dh' + from.id,
+    deadhead: true,
+    from,
+    to,
+    startTime: from.endTime,
+    endTime: to.startTime,
+    startPos: from.endPos,
+    endPos: to.startPos,
+    fare: 0,
+    passengers: 0,
+    vendor: from.vendor,
+    fleet: from.fleet
+  };
+}
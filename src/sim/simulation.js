@@ -1,211 +1,203 @@
 import * as THREE from 'three';
-import { activateOrb, deactivateOrb } from './pool.js';
+import { activateOrb, acquireOrb, releaseOrb, syncPool, disposePool } from './pool.js';
 import { createTextLabel } from '../utils/textLabel.js';
+import { createSpeedProfile } from './speedProfile.js';
+import { createTrails, addTrail, restyleTrail, removeTrail, dropTrails, updateTrails, disposeTrails } from './trails.js';
+import { SimulationEngine } from './engine.js';
+import { DEFAULT_ENCODING, tripColorFor, tripSizeFor } from './encodings.js';
+import { routeKey } from './routing.js';
+import { createRouteService } from './routeService.js';
 
+const WHITE = new THREE.Color(0xffffff);
+// Empty taxis cruising between jobs (reconstructed shifts): dim, small, steady
+const DEADHEAD_COLOR = 0x5c6f86;
+const DEADHEAD_OPACITY = 0.35;
+const DEADHEAD_SCALE = 0.6;
+// Trips outside the highlight (setHighlight): faint, smaller, gray
+const DIMMED_COLOR = 0x2b3445;
+const DIMMED_OPACITY = 0.3;
+const DIMMED_SCALE = 0.7;
+// Orb size drawn with an unscaled start marker (markers grow / shrink with the size encoding around it)
+const MARKER_REFERENCE_SIZE = 0.6;
+// Trips past the playhead (in the playing direction) whose routes are requested from the route worker
+const ROUTE_LOOKAHEAD = 2000;
+
+// three.js view of a SimulationEngine (engine.js): orbs, trails and labels follow the engine's trip
+// lifecycle callbacks (a seek only touches trips entering or leaving flight). Playback state is read and
+// written through the engine under the same names; on() / off() expose the engine's event bus.
 export class Simulation {
   constructor(scene, pool, trips) {
     this.scene = scene;
     this.pool = pool;
-    this.trips = trips;
-    // Start simulation at the first trip's start time, if available
-    if (trips && trips.length) {
-      this.simulationTime = trips[0].startTime;
-    } else {
-      this.simulationTime = 0;
-    }
-    this.playing = true;
-    this.speed = 30; // seconds simulated per real second
-  this.userSpeed = this.speed; // base user-selected speed
-  this.gapAccelActive = false;
-  // Trip lifecycle counters (robust against trips that start & finish within one frame)
-  this.startedCount = 0;
-  this.completedCount = 0;
-  
-  // Adaptive gap acceleration system
-  this.maxRealWaitTime = 5.0; // max seconds user should wait in real time
-  this.moderateGapSpeed = 1000; // speed for gaps that would take 5+ seconds at normal speed
-  this.extremeGapSpeed = 10000; // speed for multi-day gaps
-  this.lastGapCheck = 0;
-  this.gapCheckInterval = 0.5; // check every 0.5 real seconds
-  
-  // Configuration for different gap types
-  this.shortGapThreshold = 300; // gaps under 5 minutes (300 sec) use moderate acceleration
-  this.longGapThreshold = 3600; // gaps over 1 hour (3600 sec) use extreme acceleration
-    this.nextTripIndex = 0;
-    this.activeOrbs = [];
-  // Trail management
-  this.trailsGroup = new THREE.Group();
-  this.trailsGroup.name = 'Trails';
-  this.scene.add(this.trailsGroup);
-  this.activeTrails = []; // trail lines (including fading ones)
+    this.engine = new SimulationEngine(trips || []);
+    // Destination labels are canvas sprites; beyond this many only the orbs are drawn
+    this.maxLabels = 300;
+    this.labelCount = 0;
+  // Trails share one batched buffer revealed / faded in the shader (see trails.js)
   this.trailMarkerStyle = 'circle'; // 'circle' | 'pin'
+  this.trails = createTrails({ markerStyle: this.trailMarkerStyle });
+  this.scene.add(this.trails.group);
+  this.encoding = { ...DEFAULT_ENCODING }; // color / size keys of encodings.js
+  this.highlight = null; // trip -> color, or null to dim the trip (setHighlight); overrides the color encoding
     this.tmpV1 = new THREE.Vector3();
-    this.tmpV2 = new THREE.Vector3();
-    this.tmpCtrl = new THREE.Vector3();
+    // Routes come from a worker (routeService.js) ahead of the playhead; trips whose route has not arrived
+    // yet move in a straight line and switch to the road path when it does. Without workers the router
+    // is called synchronously.
+    this.router = null;
+    this.routes = createRouteService({ onRoute: (key, result) => this.applyRoute(key, result) });
+    this.routeWaiters = new Map(); // route key -> trips prepared with a straight path while it is computed
     // Road router (if map loaded) - lazy lookup
     const mapGroup = scene.getObjectByName('NYCMap');
-    this.router = mapGroup && mapGroup.userData.roadRouter ? mapGroup.userData.roadRouter : null;
-    // Track current simulation day (ms epoch of midnight)
-    if (this.trips && this.trips.length) {
-      const d0 = new Date(this.trips[0].pickupDate);
-      d0.setHours(0,0,0,0);
-      this.currentDayStart = d0.getTime();
-    } else {
-      this.currentDayStart = null;
-    }
+    this.setRouter(mapGroup && mapGroup.userData.roadRouter ? mapGroup.userData.roadRouter : null);
+    this.engine.subscribe({
+      tripStart: (trip, resumed) => this.showTrip(trip, resumed),
+      tripEnd: (trip) => this.hideTrip(trip)
+    });
+    // Prefetches queued for the old position are stale after a jump
+    this.engine.on('seek', () => { if (this.routes) this.routes.clearQueue(); });
+    this.deadheads = null; // engine over deadhead legs (setDeadheads), slaved to the main playhead
+  }
+
+  epochAt(timeSec) {
+    return this.engine.epochAt(timeSec);
+  }
+
+  // Trip lifecycle / playback events (tripstart, tripend, seek, gapaccelstart, gapaccelend, daychange, ended)
+  on(type, fn) {
+    return this.engine.on(type, fn);
   }
+
+  off(type, fn) {
+    this.engine.off(type, fn);
+  }
+
   resetTo(timeSec) {
-    // Prevent simulation from resetting before first trip
-    if (this.trips && this.trips.length) {
-      const minTime = this.trips[0].startTime;
-      if (timeSec < minTime) timeSec = minTime;
-    }
-    this.simulationTime = timeSec;
-  this.gapAccelActive = false;
-  this.speed = this.userSpeed;
-  // Recompute counters relative to new time (treat trips with startTime < timeSec as started; endTime <= timeSec as completed)
-  if (this.trips && this.trips.length) {
-    let started = 0, completed = 0;
-    for (const t of this.trips) {
-      if (t.startTime < timeSec) started++;
-      if (t.endTime <= timeSec) completed++;
-      // Clear per-run markers; they'll be set again as trips launch
-      t._started = t.startTime < timeSec;
-      t._completed = t.endTime <= timeSec;
-    }
-    this.startedCount = started;
-    this.completedCount = completed;
-  } else {
-    this.startedCount = 0;
-    this.completedCount = 0;
-  }
-    // Reset active orbs
-    for (const orb of this.activeOrbs) deactivateOrb(orb);
-    this.activeOrbs.length = 0;
-    // Remove existing trails
-    for (const trail of this.activeTrails) {
-      if (trail.parent) trail.parent.remove(trail);
-      if (trail.geometry) trail.geometry.dispose();
-      if (trail.material) trail.material.dispose();
-      if (trail.userData && trail.userData.marker) {
-        this.disposeMarker(trail.userData.marker);
-      }
-    }
-    this.activeTrails.length = 0;
-    // Find first trip index >= time
-    this.nextTripIndex = this.trips.findIndex(t => t.startTime >= timeSec);
-    if (this.nextTripIndex < 0) this.nextTripIndex = this.trips.length;
-    // Activate all trips already in-flight
-    const inFlight = this.trips.filter(t => t.startTime < timeSec && t.endTime > timeSec);
-    for (const trip of inFlight) {
-      const orb = this.pool.find(o => !o.userData.active);
-      if (!orb) break;
-  const color = trip.vendor === 1 ? 0xfff15c : 0x27ff6c;
-  this.prepareTripPath(trip);
-  activateOrb(orb, trip, color);
-      // Create trail and set to current progress
-      const trail = this.createTrailForTrip(trip, color);
-      const progress = (timeSec - trip.startTime) / (trip.endTime - trip.startTime);
-      this.updateTrailProgress(trail, THREE.MathUtils.clamp(progress, 0, 1));
-      // Set position along curve
-      this.positionOrb(orb, trip, (timeSec - trip.startTime) / (trip.endTime - trip.startTime));
-      this.activeOrbs.push(orb);
-    }
+    this.engine.resetTo(timeSec);
+  }
+
+  addTrips(batch) {
+    this.engine.addTrips(batch);
+  }
+
+  // Only play trips passing predicate(trip) (filters.js; null plays everything). Trails of trips filtered out are
+  // dropped at once rather than left to fade.
+  setFilter(predicate) {
+    this.engine.setFilter(predicate);
+    if (predicate) dropTrails(this.trails, (trip) => !trip.deadhead && !predicate(trip));
+  }
+
+  // 'gap' or 'density' time compression (see engine.js)
+  setTimeMode(mode) {
+    this.engine.setTimeMode(mode);
+  }
+
+  densityCurve() {
+    return this.engine.densityCurve();
+  }
+
+  startedTrips() {
+    return this.engine.startedTrips();
+  }
+
+  completedTrips() {
+    return this.engine.completedTrips();
+  }
+
+  // Draw the empty cruising legs of reconstructed shifts (shifts.js); null / [] removes them
+  setDeadheads(legs) {
+    this.clearDeadheads();
+    if (!legs || !legs.length) return;
+    this.deadheads = new SimulationEngine(legs);
+    this.deadheads.maxActive = this.engine.maxActive;
+    this.deadheads.subscribe({
+      tripStart: (leg) => this.showTrip(leg, true),
+      tripEnd: (leg) => this.hideTrip(leg)
+    });
+    this.deadheads.follow(this.engine.simulationTime);
+  }
+
+  clearDeadheads() {
+    if (!this.deadheads) return;
+    for (const leg of this.deadheads.active) this.hideTrip(leg);
+    this.deadheads.dispose();
+    this.deadheads = null;
   }
 
- update(dt, camera) {
-    if (this.playing) {
-      this.simulationTime += dt * this.speed;
-      // Stop at the last trip's end time
-      if (this.trips && this.trips.length) {
-        const maxTime = this.trips[this.trips.length-1].endTime;
-        if (this.simulationTime >= maxTime) {
-          this.simulationTime = maxTime;
-          this.playing = false;
+  // Frame-accurate step of the playhead (negative steps back)
+  step(deltaSec) {
+    this.engine.step(deltaSec);
+  }
+
+  // Orb + trail for a trip the engine launched; resumed trips (seek / late arrival) skip the label
+  showTrip(trip, resumed) {
+    const orb = this.acquireOrb();
+    const color = this.tripColor(trip);
+    this.prepareTripPath(trip);
+    activateOrb(orb, trip, color, this.tripSize(trip));
+    orb.userData.dimmed = this.isDimmed(trip);
+    trip._orb = orb;
+    // Trail reveals itself up to the current time in the shader; a trip re-entered in reverse keeps its
+    // still-fading trail
+    if (!trip._trail) this.createTrailForTrip(trip, color);
+    if (resumed) {
+      this.positionOrb(orb, trip, THREE.MathUtils.clamp(this.engine.progressOf(trip), 0, 1));
+      return;
+    }
+    // Create destination label sprite (simple lat/lon for now; could plug reverse geocode)
+    if (this.labelCount < this.maxLabels) {
+      let textLabelStr;
+      // Attempt to derive nearest road name to destination
+      if (this.router && this.scene) {
+        const mapGroup = this.scene.getObjectByName('NYCMap');
+        const idx = mapGroup && mapGroup.userData.roadIndex;
+        if (idx && idx.nearestRoadName) {
+          const destWorld = new THREE.Vector3(trip.endPos.x, 0.02, trip.endPos.z);
+          const roadName = idx.nearestRoadName(destWorld, 4.0);
+          if (roadName) textLabelStr = roadName;
         }
       }
-    }
-
-    // Activate new trips
-    while (this.nextTripIndex < this.trips.length) {
-      const trip = this.trips[this.nextTripIndex];
-      if (trip.startTime > this.simulationTime) break;
-      // If the trip has already ended by current simulationTime, fast-forward counters without spawning an orb
-      if (trip.endTime <= this.simulationTime) {
-        if (!trip._started) { trip._started = true; this.startedCount++; }
-        if (!trip._completed) { trip._completed = true; this.completedCount++; }
-        this.nextTripIndex++;
-        continue;
+      if (!textLabelStr) {
+        const lon = trip.endPos.lon.toFixed(4);
+        const lat = trip.endPos.lat.toFixed(4);
+        textLabelStr = `${lat},${lon}`;
       }
-      const orb = this.pool.find(o => !o.userData.active);
-  if (!orb) return; // pool exhausted, try again next frame
-  const color = trip.vendor === 1 ? 0xfff15c : 0x27ff6c;
-  this.prepareTripPath(trip);
-  activateOrb(orb, trip, color);
-  // Trail line
-  const trail = this.createTrailForTrip(trip, color);
-      // Create destination label sprite (simple lat/lon for now; could plug reverse geocode)
-      if (!orb.userData.label) {
-        let textLabelStr;
-        // Attempt to derive nearest road name to destination
-        if (this.router && this.scene) {
-          const mapGroup = this.scene.getObjectByName('NYCMap');
-          const idx = mapGroup && mapGroup.userData.roadIndex;
-          if (idx && idx.nearestRoadName) {
-            const destWorld = new THREE.Vector3(trip.endPos.x, 0.02, trip.endPos.z);
-            const roadName = idx.nearestRoadName(destWorld, 4.0);
-            if (roadName) textLabelStr = roadName;
-          }
-        }
-        if (!textLabelStr) {
-          const lon = trip.endPos.lon.toFixed(4);
-          const lat = trip.endPos.lat.toFixed(4);
-          textLabelStr = `${lat},${lon}`;
-        }
-  // Use consistent Helvetica stack for trip labels (was monospace)
-        const label = createTextLabel(textLabelStr, { font: "9px 'Helvetica Neue', Helvetica, Arial, sans-serif", color: '#bbb' });
-        // Ensure label performs normal depth testing so it doesn't appear embedded when viewed top-down
-        if (label.material) {
-          label.material.depthTest = true; // allow orb to occlude if actually above
-          label.material.needsUpdate = true;
-        }
-        label.position.set(0, 0.9, 0);
-        orb.add(label);
-        orb.userData.label = label;
-        trip.destinationLabel = textLabelStr; // store for external status messages
+      // Use consistent Helvetica stack for trip labels (was monospace)
+      const label = createTextLabel(textLabelStr, { font: "9px 'Helvetica Neue', Helvetica, Arial, sans-serif", color: '#bbb' });
+      // Ensure label performs normal depth testing so it doesn't appear embedded when viewed top-down
+      if (label.material) {
+        label.material.depthTest = true; // allow orb to occlude if actually above
+        label.material.needsUpdate = true;
       }
-  if (!trip._started) { trip._started = true; this.startedCount++; }
-      this.activeOrbs.push(orb);
-      this.nextTripIndex++;
+      label.position.set(orb.position.x, 0.9, orb.position.z);
+      this.pool.labels.add(label);
+      orb.userData.label = label;
+      this.labelCount++;
+      trip.destinationLabel = textLabelStr; // store for external status messages
     }
+  }
 
-    // Update active ones
-    for (let i = this.activeOrbs.length - 1; i >= 0; i--) {
-      const orb = this.activeOrbs[i];
-      const trip = orb.userData.trip;
-      if (!trip) { this.activeOrbs.splice(i,1); continue; }
-      const progress = (this.simulationTime - trip.startTime) / (trip.endTime - trip.startTime);
-      // Trigger finish effect slightly before end to allow animation
-      if (progress >= 1) {
-        // ensure finish effect ran; now deactivate
-        deactivateOrb(orb);
-        this.activeOrbs.splice(i,1);
-  if (trip && !trip._completed) { trip._completed = true; this.completedCount++; }
-        // Begin trail fade (if exists)
-        if (trip._trail && !trip._trail.userData.fading) {
-          trip._trail.userData.fading = true;
-          trip._trail.userData.fadeStart = performance.now();
-          trip._trail.userData.fadeDuration = 1500; // ms
-        }
-        continue;
-      }
+  // Trip reached its dropoff: free the orb (the trail fades out on its own and is freed by updateTrails)
+  hideTrip(trip) {
+    if (trip._orb) this.releaseOrb(trip._orb);
+    trip._orb = null;
+  }
+
+  update(dt, camera) {
+    this.engine.advance(dt);
+    this.prefetchRoutes();
 
+    // Update active ones
+    const now = performance.now(); // one clock read per frame for every orb's effects
+    const active = this.engine.active;
+    const forward = this.engine.direction > 0;
+    for (let i = 0; i < active.length; i++) {
+      const trip = active[i];
+      const orb = trip._orb;
+      if (!orb) continue;
+      const progress = this.engine.progressOf(trip);
       // Position along path
       this.positionOrb(orb, trip, THREE.MathUtils.clamp(progress, 0, 1));
-      // Update trail draw progress
-      if (trip._trail) this.updateTrailProgress(trip._trail, THREE.MathUtils.clamp(progress, 0, 1));
 
-      const now = performance.now();
       const base = orb.userData.baseScale || 0.5;
       const remaining = 1 - progress;
       const spawnTime = orb.userData.spawnTime;
@@ -215,18 +207,20 @@ export class Simulation {
           // Ease-out growth from tiny to base, color fade from white to intended
           const ease = 1 - Math.pow(1 - tStart, 3);
           orb.scale.setScalar(base * (0.05 + ease * 0.95));
-          orb.material.color.copy(orb.userData.intendedColor).lerp(new THREE.Color(0xffffff), 1 - ease);
-          orb.material.opacity = 1.0 - 0.3 * ease;
+          orb.color.copy(orb.userData.intendedColor).lerp(WHITE, 1 - ease);
+          orb.opacity = 1.0 - 0.3 * ease;
         } else {
           // Idle subtle pulse
           const pulse = 1 + Math.sin(now * 0.004 + base) * 0.05;
           orb.scale.setScalar(base * pulse);
-          orb.material.color.copy(orb.userData.intendedColor);
-          orb.material.opacity = 0.7;
-          // Trigger finish if near end and not already started
-          if (!orb.userData.finishStarted && remaining < 0.05) {
+          orb.color.copy(orb.userData.intendedColor);
+          orb.opacity = 0.7;
+          // Trigger finish if near end and not already started; backing away from the dropoff cancels it
+          if (!orb.userData.finishStarted && remaining < 0.05 && forward) {
             orb.userData.finishStarted = true;
             orb.userData.finishStart = now;
+          } else if (orb.userData.finishStarted && !forward) {
+            orb.userData.finishStarted = false;
           }
         }
       }
@@ -235,12 +229,13 @@ export class Simulation {
         if (tFin < 1) {
           const easeF = Math.pow(tFin, 0.7);
           orb.scale.setScalar(base * (1 + easeF * 2.0));
-          orb.material.opacity = 0.7 * (1 - easeF);
-          orb.material.color.copy(orb.userData.intendedColor).offsetHSL(0.02, 0.2 * easeF, 0.15 * easeF);
+          orb.opacity = 0.7 * (1 - easeF);
+          orb.color.copy(orb.userData.intendedColor).offsetHSL(0.02, 0.2 * easeF, 0.15 * easeF);
         } else {
-          orb.material.opacity = 0.0;
+          orb.opacity = 0.0;
         }
       }
+      if (orb.userData.dimmed) orb.opacity *= DIMMED_OPACITY;
       // Keep label above orb (if added)
       if (orb.userData.label) {
         const orbRadius = 0.25; // sphere geometry base radius
@@ -260,176 +255,224 @@ export class Simulation {
           const maxOffset = surface * 5 + 1.2;
           if (offset > maxOffset) offset = maxOffset;
         }
-        orb.userData.label.position.y = offset;
+        // Labels live in their own group (orbs are instances, not scene nodes), so follow the orb
+        orb.userData.label.position.set(orb.position.x, orb.position.y + offset, orb.position.z);
       }
     }
+    this.updateDeadheads();
+    syncPool(this.pool);
 
-    // Adaptive gap acceleration system
-    this.updateGapAcceleration(dt);
-
-    // Update fading trails (opacity & disposal)
-    for (let i = this.activeTrails.length - 1; i >= 0; i--) {
-      const trail = this.activeTrails[i];
-      if (trail.userData.fading) {
-        const now = performance.now();
-        const t = (now - trail.userData.fadeStart) / trail.userData.fadeDuration;
-        if (t < 1) {
-          const ease = 1 - Math.pow(1 - t, 3);
-          trail.material.opacity = trail.userData.baseOpacity * (1 - ease);
-        } else {
-          // remove & dispose
-          if (trail.parent) trail.parent.remove(trail);
-          if (trail.geometry) trail.geometry.dispose();
-          if (trail.material) trail.material.dispose();
-          if (trail.userData && trail.userData.marker) this.disposeMarker(trail.userData.marker);
-          this.activeTrails.splice(i,1);
-        }
-      }
+    // Trail reveal / fade clock; frees trails that have faded out
+    updateTrails(this.trails, this.engine.simulationTime);
+  }
+
+  // Cruising legs follow the main playhead; their orbs skip the spawn / finish effects
+  updateDeadheads() {
+    if (!this.deadheads) return;
+    this.deadheads.follow(this.engine.simulationTime);
+    for (const leg of this.deadheads.active) {
+      const orb = leg._orb;
+      if (!orb) continue;
+      this.positionOrb(orb, leg, THREE.MathUtils.clamp(this.deadheads.progressOf(leg), 0, 1));
+      orb.scale.setScalar((orb.userData.baseScale || 0.35) * DEADHEAD_SCALE);
+      orb.color.copy(orb.userData.intendedColor);
+      orb.opacity = DEADHEAD_OPACITY;
+    }
+  }
+
+  // Release every GPU resource owned by this simulation (pool, trails, markers, labels) so a new
+  // dataset can be loaded without reloading the page
+  dispose() {
+    for (const trip of this.engine.active) trip._orb = null;
+    this.engine.dispose();
+    if (this.deadheads) {
+      for (const leg of this.deadheads.active) leg._orb = null;
+      this.deadheads.dispose();
+      this.deadheads = null;
     }
+    this.labelCount = 0;
+    if (this.routes) this.routes.dispose();
+    this.routes = null;
+    this.routeWaiters.clear();
+    disposePool(this.pool);
+    disposeTrails(this.trails);
+  }
+
+  tripColor(trip) {
+    if (trip.deadhead) return DEADHEAD_COLOR;
+    if (this.highlight) return this.highlight(trip) ?? DIMMED_COLOR;
+    return tripColorFor(this.encoding.color, trip);
+  }
+
+  tripSize(trip) {
+    const size = tripSizeFor(this.encoding.size, trip);
+    return this.isDimmed(trip) ? size * DIMMED_SCALE : size;
+  }
+
+  isDimmed(trip) {
+    return !!this.highlight && !trip.deadhead && this.highlight(trip) == null;
+  }
+
+  // Switch the color and / or size encoding; orbs in flight and live trails / markers are restyled in place
+  setEncoding({ color, size } = {}) {
+    if (color) this.encoding.color = color;
+    if (size) this.encoding.size = size;
+    this.restyle();
+  }
+
+  // Draw trips with highlight(trip) -> color in that color and dim the rest (null restores the encoding)
+  setHighlight(highlight) {
+    this.highlight = highlight || null;
+    this.restyle();
+  }
+
+  // Re-derive color / size of everything on screen
+  restyle() {
+    for (const orb of this.pool.orbs) {
+      const trip = orb.active && orb.userData.trip;
+      if (!trip) continue;
+      orb.userData.intendedColor.set(this.tripColor(trip));
+      orb.userData.baseScale = this.tripSize(trip);
+      orb.userData.dimmed = this.isDimmed(trip);
+    }
+    for (const record of this.trails.live) {
+      restyleTrail(this.trails, record, this.tripColor(record.trip), this.tripSize(record.trip) / MARKER_REFERENCE_SIZE);
+    }
+  }
+
+  // Free orb from the pool, growing it when every orb is in use (pool size isn't known up front when streaming)
+  acquireOrb() {
+    return acquireOrb(this.pool);
+  }
+
+  releaseOrb(orb) {
+    if (orb.userData.label) this.labelCount--;
+    releaseOrb(this.pool, orb);
   }
 
   createTrailForTrip(trip, color) {
     this.prepareTripPath(trip);
-    if (!trip._path || trip._path.length < 2) return null;
-    // Geometry with full set of vertices copied; we will reveal over time by adjusting drawRange and a temporary vertex.
-    const pts = trip._path;
-    const vertCount = pts.length;
-    const positions = new Float32Array(vertCount * 3);
-    for (let i=0;i<vertCount;i++) {
-      positions[i*3] = pts[i].x; positions[i*3+1] = 0.03; positions[i*3+2] = pts[i].z;
+    trip._trail = addTrail(this.trails, trip, color, this.tripSize(trip) / MARKER_REFERENCE_SIZE);
+    return trip._trail;
+  }
+
+  // Road graph changed (road types toggled, map coverage): trips off screen drop their paths so they are
+  // routed again on the new graph; trips on screen keep theirs, except the ones still drawn straight while
+  // waiting for a route, which are requested again on the new graph
+  setRouter(router) {
+    this.router = router || null;
+    const waiting = this.routeWaiters;
+    this.routeWaiters = new Map();
+    if (this.routes) this.routes.setGraph(this.router && this.router.graph);
+    for (const trip of this.engine.allTrips) {
+      if (!trip._orb) clearTripPath(trip);
     }
-    const origPositions = positions.slice(); // keep original to restore after segment passes
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geo.setDrawRange(0, 2); // start with first segment
-    const mat = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.42, depthWrite: false });
-    const line = new THREE.Line(geo, mat);
-    line.userData = {
-      trip,
-      origPositions,
-      fading: false,
-      baseOpacity: 0.38,
-      marker: null
-    };
-    this.trailsGroup.add(line);
-    // Add start marker if desired
-    const start = pts[0];
-    const marker = this.createStartMarker(this.trailMarkerStyle, color, start);
-    if (marker) { line.add(marker); line.userData.marker = marker; }
-    trip._trail = line;
-    this.activeTrails.push(line);
-    return line;
-  }
-
-  updateTrailProgress(trail, t) {
-    if (!trail) return;
-    const trip = trail.userData.trip;
-    if (!trip || !trip._path) return;
-    const geo = trail.geometry;
-    const positions = geo.getAttribute('position').array;
-    const origPositions = trail.userData.origPositions;
-    const segLengths = trip._segLengths;
-    const total = trip._totalLength || 1;
-    const targetDist = t * total;
-    let acc = 0;
-    for (let i=0;i<segLengths.length;i++) {
-      const segLen = segLengths[i];
-      if (acc + segLen >= targetDist) {
-        // Completed segments before i restore originals
-        for (let j=0;j<=i;j++) {
-          positions[j*3] = origPositions[j*3];
-          positions[j*3+1] = origPositions[j*3+1];
-          positions[j*3+2] = origPositions[j*3+2];
-        }
-        const localT = (targetDist - acc) / segLen;
-        // Interpolate for vertex i+1
-        const ax = origPositions[i*3], ay = origPositions[i*3+1], az = origPositions[i*3+2];
-        const bx = origPositions[(i+1)*3], by = origPositions[(i+1)*3+1], bz = origPositions[(i+1)*3+2];
-        positions[(i+1)*3] = ax + (bx - ax) * localT;
-        positions[(i+1)*3+1] = ay + (by - ay) * localT;
-        positions[(i+1)*3+2] = az + (bz - az) * localT;
-        geo.setDrawRange(0, i + 2); // vertices count
-        geo.attributes.position.needsUpdate = true;
-        return;
+    for (const trips of waiting.values()) {
+      for (const trip of trips) {
+        if (!trip._orb) continue;
+        clearTripPath(trip);
+        this.prepareTripPath(trip);
+        if (this.routeWaiters.has(this.routeKeyOf(trip))) continue; // redrawn by applyRoute
+        // Routed synchronously (or no roads left): redraw the trail along the new path now
+        if (trip._trail) removeTrail(this.trails, trip._trail);
+        this.createTrailForTrip(trip, this.tripColor(trip));
       }
-      acc += segLen;
-    }
-    // Completed entire path
-    geo.setDrawRange(0, (trip._path.length));
-    // Restore all originals
-    for (let k=0;k<origPositions.length;k++) positions[k] = origPositions[k];
-    geo.attributes.position.needsUpdate = true;
-  }
-
-  createStartMarker(style, color, position) {
-    if (!style) return null;
-    if (style === 'circle') {
-      const g = new THREE.CircleGeometry(0.1, 24);
-      const m = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false });
-      const mesh = new THREE.Mesh(g, m);
-      mesh.rotation.x = -Math.PI/2;
-      mesh.position.set(position.x, 0.015, position.z);
-      mesh.userData.isTrailMarker = true;
-      mesh.userData.materials = [m];
-      return mesh;
-    } else if (style === 'pin') {
-      const grp = new THREE.Group();
-      const shaftG = new THREE.ConeGeometry(0.25, 0.7, 16);
-      const headG = new THREE.SphereGeometry(0.22, 16, 12);
-      const mat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.75, depthWrite: false });
-      const cone = new THREE.Mesh(shaftG, mat);
-      cone.rotation.x = Math.PI; // point down
-      cone.position.y = 0.35;
-      const head = new THREE.Mesh(headG, mat);
-      head.position.y = 0.7;
-      grp.add(cone); grp.add(head);
-      grp.position.set(position.x, 0.02, position.z);
-      grp.scale.setScalar(0.85);
-      grp.userData.isTrailMarker = true;
-      grp.userData.materials = [mat];
-      return grp;
     }
-    return null;
   }
 
-  disposeMarker(marker) {
-    if (!marker) return;
-    if (marker.userData && marker.userData.materials) {
-      for (const mat of marker.userData.materials) { if (mat) mat.dispose(); }
+  // Dataset key of the persistent route cache (data/routeCache.js); persist = false keeps routes in memory
+  setRouteDataset(key, options) {
+    if (this.routes) this.routes.setDataset(key, options);
+  }
+
+  routeKeyOf(trip) {
+    return trip._routeKey || (trip._routeKey = routeKey(trip.startPos.x, trip.startPos.z, trip.endPos.x, trip.endPos.z));
+  }
+
+  // Once per frame: request routes for the next trips to start (or, in reverse, to end) and post the batch
+  prefetchRoutes() {
+    const routes = this.routes;
+    if (!routes || routes.failed || !this.router) return;
+    const engine = this.engine;
+    const request = (trip) => {
+      if (trip._path) return;
+      const key = this.routeKeyOf(trip);
+      if (routes.get(key) === undefined) routes.request(key, trip.startPos.x, trip.startPos.z, trip.endPos.x, trip.endPos.z);
+    };
+    if (engine.direction >= 0) {
+      const trips = engine.trips;
+      const end = Math.min(trips.length, engine.nextTripIndex + ROUTE_LOOKAHEAD);
+      for (let i = engine.nextTripIndex; i < end; i++) request(trips[i]);
+    } else {
+      const ends = engine.endOrder;
+      const end = Math.max(0, engine.endIndex - ROUTE_LOOKAHEAD);
+      for (let i = engine.endIndex - 1; i >= end; i--) request(ends[i]);
     }
-    if (marker.geometry) marker.geometry.dispose();
+    routes.flush();
   }
 
   prepareTripPath(trip) {
     if (trip._path) return; // already prepared
-    // Build route along roads if router exists; fallback: straight line
-    if (this.router) {
+    const routes = this.routes;
+    if (this.router && routes && !routes.failed) {
+      const key = this.routeKeyOf(trip);
+      const routed = routes.get(key);
+      if (routed) { this.setTripPath(trip, pathFromCoords(routed.coords), routed.types); return; }
+      if (routed === undefined) {
+        // Straight line until the worker delivers (applyRoute)
+        routes.request(key, trip.startPos.x, trip.startPos.z, trip.endPos.x, trip.endPos.z, true);
+        if (!this.routeWaiters.has(key)) this.routeWaiters.set(key, []);
+        this.routeWaiters.get(key).push(trip);
+      }
+    } else if (this.router) {
+      // Build route along roads synchronously; fallback: straight line
       const start = new THREE.Vector3(trip.startPos.x, 0.02, trip.startPos.z);
       const end = new THREE.Vector3(trip.endPos.x, 0.02, trip.endPos.z);
-      const path = this.router.route(start, end);
-      if (path && path.length >= 2) {
-        // Precompute cumulative lengths
-        let total = 0;
-        const segLengths = [];
-        for (let i=0;i<path.length-1;i++) { const d = path[i].distanceTo(path[i+1]); segLengths.push(d); total += d; }
-        trip._path = path;
-        trip._segLengths = segLengths;
-        trip._totalLength = total || start.distanceTo(end);
-        return;
-      }
+      const routed = this.router.routeDetailed ? this.router.routeDetailed(start, end) : { path: this.router.route(start, end), types: [] };
+      const path = routed && routed.path;
+      if (path && path.length >= 2) { this.setTripPath(trip, path, routed.types); return; }
     }
     // Fallback straight path
-    trip._path = [new THREE.Vector3(trip.startPos.x,0.02,trip.startPos.z), new THREE.Vector3(trip.endPos.x,0.02,trip.endPos.z)];
-    trip._segLengths = [trip._path[0].distanceTo(trip._path[1])];
-    trip._totalLength = trip._segLengths[0];
+    this.setTripPath(trip, [new THREE.Vector3(trip.startPos.x,0.02,trip.startPos.z), new THREE.Vector3(trip.endPos.x,0.02,trip.endPos.z)]);
+  }
+
+  // Path plus the per-segment lengths and speed profile positionOrb / addTrail read
+  setTripPath(trip, path, types) {
+    let total = 0;
+    const segLengths = [];
+    for (let i=0;i<path.length-1;i++) { const d = path[i].distanceTo(path[i+1]); segLengths.push(d); total += d; }
+    trip._path = path;
+    trip._segLengths = segLengths;
+    trip._totalLength = total || path[0].distanceTo(path[path.length-1]);
+    trip._profile = createSpeedProfile(segLengths, types);
+  }
+
+  // A route arrived from the worker: trips drawn straight meanwhile take the road path; ones on screen get
+  // their trail redrawn along it
+  applyRoute(key, result) {
+    const waiting = this.routeWaiters.get(key);
+    if (!waiting) return;
+    this.routeWaiters.delete(key);
+    if (!result) return; // not connected: the straight line stays
+    for (const trip of waiting) {
+      this.setTripPath(trip, pathFromCoords(result.coords), result.types);
+      if (!trip._orb) continue;
+      if (trip._trail) removeTrail(this.trails, trip._trail);
+      this.createTrailForTrip(trip, this.tripColor(trip));
+    }
+  }
+
+  // Distance along trip._path at time fraction t: road-type speeds plus pickup/dropoff ramps (speedProfile.js)
+  pathDistanceAt(trip, t) {
+    return trip._profile ? trip._profile.distanceAt(t) : t * trip._totalLength;
   }
 
   positionOrb(orb, trip, t) {
     this.prepareTripPath(trip);
     const path = trip._path;
     if (!path || path.length < 2) return;
-    // Distance along path based on linear progress in time (could adjust for realistic speed distributions later)
-    const targetDist = t * trip._totalLength;
+    // Distance along path from the trip's speed profile (faster on major roads, eased at both ends)
+    const targetDist = this.pathDistanceAt(trip, t);
     let acc = 0;
     for (let i=0;i<path.length-1;i++) {
       const segLen = trip._segLengths[i];
@@ -447,94 +490,29 @@ export class Simulation {
     orb.position.copy(last);
     orb.position.y = 0.12;
   }
+}
 
-  /**
-   * Adaptive gap acceleration system that smoothly scales speed based on gap duration
-   * and real-world wait time, avoiding jarring jumps while keeping the simulation engaging.
-   */
-  updateGapAcceleration(dt) {
-    if (!this.playing) return;
-
-    // Only check periodically to avoid excessive computation
-    const now = performance.now() / 1000;
-    if (now - this.lastGapCheck < this.gapCheckInterval) return;
-    this.lastGapCheck = now;
-
-    // If there are active trips, ensure we're at normal speed
-    if (this.activeOrbs.length > 0) {
-      if (this.gapAccelActive) {
-        this.gapAccelActive = false;
-        this.speed = this.userSpeed;
-      }
-      return;
-    }
-
-    // No active trips - check if we need gap acceleration
-    if (this.nextTripIndex >= this.trips.length) {
-      // No more trips, maintain current speed
-      return;
-    }
-
-    const nextTrip = this.trips[this.nextTripIndex];
-    const gapDuration = nextTrip.startTime - this.simulationTime;
-    
-    // Handle day transitions
-    if (gapDuration < 0) {
-      // Next trip is tomorrow, calculate actual gap including day boundary
-      const realGap = (86400 - this.simulationTime) + nextTrip.startTime;
-      this.handleGapAcceleration(realGap, true);
-    } else {
-      this.handleGapAcceleration(gapDuration, false);
-    }
-  }
-
-  handleGapAcceleration(gapDuration, isDayTransition) {
-    // Calculate how long this gap would take at current user speed (in real seconds)
-    const realTimeAtUserSpeed = gapDuration / this.userSpeed;
-
-    if (realTimeAtUserSpeed <= this.maxRealWaitTime) {
-      // Gap is short enough at normal speed, no acceleration needed
-      if (this.gapAccelActive) {
-        this.gapAccelActive = false;
-        this.speed = this.userSpeed;
-      }
-      return;
-    }
-
-    // Gap is too long, activate acceleration
-    this.gapAccelActive = true;
-
-    let targetSpeed;
-
-    if (isDayTransition || gapDuration > this.longGapThreshold) {
-      // Multi-day or long gaps: use extreme speed
-      targetSpeed = this.extremeGapSpeed;
-    } else if (gapDuration > this.shortGapThreshold) {
-      // Medium gaps: use moderate speed
-      targetSpeed = this.moderateGapSpeed;
-    } else {
-      // Short gaps: calculate adaptive speed to complete in maxRealWaitTime
-      targetSpeed = Math.max(
-        this.userSpeed,
-        Math.min(
-          this.moderateGapSpeed,
-          gapDuration / this.maxRealWaitTime
-        )
-      );
-    }
-    
-    // Smooth speed transitions to avoid jarring changes
-    const speedDiff = targetSpeed - this.speed;
-    const maxSpeedChangePerCheck = this.userSpeed * 10; // Allow faster transitions
-    
-    if (Math.abs(speedDiff) > maxSpeedChangePerCheck) {
-      this.speed += Math.sign(speedDiff) * maxSpeedChangePerCheck;
-    } else {
-      this.speed = targetSpeed;
-    }
+// Flat x, z route coordinates (routing.js) -> Vector3 path on the road plane
+function pathFromCoords(coords) {
+  const path = [];
+  for (let i = 0; i < coords.length; i += 2) path.push(new THREE.Vector3(coords[i], 0.02, coords[i + 1]));
+  return path;
+}
 
-    // Ensure speed stays within reasonable bounds
-    this.speed = Math.max(this.userSpeed, Math.min(this.extremeGapSpeed, this.speed));
-  }
+// Forget a trip's prepared path so the next prepareTripPath routes it again
+function clearTripPath(trip) {
+  delete trip._path;
+  delete trip._segLengths;
+  delete trip._totalLength;
+  delete trip._profile;
 }
 
+// Playback state lives in the engine; the view exposes it under the names the HUD already uses
+for (const key of ['trips', 'allTrips', 'filter', 'simulationTime', 'playing', 'streaming', 'speed', 'userSpeed', 'gapAccelActive',
+  'startedCount', 'completedCount', 'nextTripIndex', 'active', 'maxActive', 'cappedTrips', 'currentDayStart', 'nextDayStart',
+  'timeMode']) {
+  Object.defineProperty(Simulation.prototype, key, {
+    get() { return this.engine[key]; },
+    set(value) { this.engine[key] = value; }
+  });
+}
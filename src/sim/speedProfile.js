@@ -0,0 +1,86 @@
+// Time -> distance mapping for a trip along its routed path. Segments are traversed at a speed that
+// depends on their road type, and the whole trip follows a trapezoidal velocity profile (accelerate out
+// of the pickup, cruise, decelerate into the dropoff). Progress 0..1 in time maps onto 0..totalLength,
+// with 1 landing exactly on the dropoff, so trips still end at endTime.
+
+// Relative cruising speeds per OSM highway type (only ratios matter; the trip duration is fixed)
+export const ROAD_SPEEDS = {
+  motorway: 2.4,
+  trunk: 2.0,
+  primary: 1.35,
+  secondary: 1.2,
+  tertiary: 1.0,
+  unclassified: 0.85,
+  residential: 0.7,
+  service: 0.5
+};
+const DEFAULT_SPEED = 1.0; // straight-line fallback / unknown type
+
+// Fraction of the trip spent accelerating (and, symmetrically, decelerating)
+export const RAMP_FRACTION = 0.12;
+
+// Eased time: position of a trapezoidal velocity profile with ramps of length r, normalized to 0..1
+function ease(t, r) {
+  if (r <= 0) return t;
+  const vmax = 1 / (1 - r);
+  if (t < r) return vmax * t * t / (2 * r);
+  if (t > 1 - r) { const u = 1 - t; return 1 - vmax * u * u / (2 * r); }
+  return vmax * (t - r / 2);
+}
+
+// Inverse of ease: time fraction at which the eased position reaches p
+function unease(p, r) {
+  if (r <= 0) return p;
+  const vmax = 1 / (1 - r);
+  const edge = vmax * r / 2; // position at the end of the acceleration ramp
+  if (p < edge) return Math.sqrt(2 * r * p / vmax);
+  if (p > 1 - edge) return 1 - Math.sqrt(2 * r * (1 - p) / vmax);
+  return p / vmax + r / 2;
+}
+
+// segLengths: length per path segment; segTypes: highway type per segment (may be shorter / empty)
+export function createSpeedProfile(segLengths, segTypes = [], { speeds = ROAD_SPEEDS, ramp = RAMP_FRACTION } = {}) {
+  const n = segLengths.length;
+  // Cumulative distance and cumulative travel time (length / speed) at each vertex
+  const cumDist = new Float64Array(n + 1);
+  const cumTime = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    const speed = speeds[segTypes[i]] || DEFAULT_SPEED;
+    cumDist[i + 1] = cumDist[i] + segLengths[i];
+    cumTime[i + 1] = cumTime[i] + segLengths[i] / speed;
+  }
+  const totalDist = cumDist[n];
+  const totalTime = cumTime[n];
+
+  // Distance along the path at time fraction t (0..1)
+  function distanceAt(t) {
+    if (!(t > 0)) return 0;
+    if (t >= 1 || !totalTime) return totalDist * Math.min(1, Math.max(0, t));
+    const target = ease(t, ramp) * totalTime;
+    // Last vertex whose cumulative time is <= target
+    let lo = 0, hi = n;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (cumTime[mid] <= target) lo = mid; else hi = mid;
+    }
+    const segTime = cumTime[lo + 1] - cumTime[lo];
+    const f = segTime > 0 ? (target - cumTime[lo]) / segTime : 0;
+    return cumDist[lo] + f * (cumDist[lo + 1] - cumDist[lo]);
+  }
+
+  // Time fraction (0..1) at which the trip reaches distance d along the path (inverse of distanceAt)
+  function timeAt(d) {
+    if (!(d > 0)) return 0;
+    if (d >= totalDist || !totalTime) return totalDist > 0 ? Math.min(1, d / totalDist) : 1;
+    let lo = 0, hi = n;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (cumDist[mid] <= d) lo = mid; else hi = mid;
+    }
+    const segDist = cumDist[lo + 1] - cumDist[lo];
+    const f = segDist > 0 ? (d - cumDist[lo]) / segDist : 0;
+    return unease((cumTime[lo] + f * (cumTime[lo + 1] - cumTime[lo])) / totalTime, ramp);
+  }
+
+  return { distanceAt, timeAt, totalDist };
+}
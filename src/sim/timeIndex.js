@@ -0,0 +1,82 @@
+// Time index over a start-sorted trip list, so a seek costs O(log n + k) instead of a pass over every trip:
+//   started(t)   trips with startTime <= t   (binary search over start times)
+//   completed(t) trips with endTime <= t     (binary search over the end-sorted order)
+//   in flight    startTime <= t < endTime    (max-end segment tree over the start order: only subtrees
+//                holding a trip that ends after t are visited)
+
+// Trips ordered by endTime (a sorted copy)
+export function sortByEnd(trips) {
+  return trips.slice().sort((a, b) => a.endTime - b.endTime);
+}
+
+// Merge a batch sorted by `key` into a list sorted by `key`, in place. Only the part of the list past the
+// batch's first value is moved, so batches that arrive roughly in order cost O(batch), not O(list).
+// Ties keep the listed trips first.
+export function mergeInto(list, batch, key) {
+  if (!batch.length) return list;
+  const tail = list.splice(countUpTo(list, key, batch[0][key]));
+  let i = 0, j = 0;
+  while (i < tail.length && j < batch.length) list.push(batch[j][key] < tail[i][key] ? batch[j++] : tail[i++]);
+  while (i < tail.length) list.push(tail[i++]);
+  while (j < batch.length) list.push(batch[j++]);
+  return list;
+}
+
+// First index whose value is > t in an ascending Float64Array (= number of values <= t)
+function upperBound(values, t) {
+  let lo = 0, hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] <= t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Same over a trip list by key (for lists that change too often to keep a typed copy)
+export function countUpTo(list, key, t) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid][key] <= t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// trips sorted by startTime; endOrder (optional) the same trips sorted by endTime
+export function createTimeIndex(trips, endOrder = sortByEnd(trips)) {
+  const n = trips.length;
+  const starts = new Float64Array(n);
+  for (let i = 0; i < n; i++) starts[i] = trips[i].startTime;
+  const ends = new Float64Array(n);
+  for (let i = 0; i < n; i++) ends[i] = endOrder[i].endTime;
+  // Segment tree (heap layout, leaves at size..size+n) holding the latest endTime under each node
+  let size = 1;
+  while (size < n) size <<= 1;
+  const maxEnd = new Float64Array(2 * size).fill(-Infinity);
+  for (let i = 0; i < n; i++) maxEnd[size + i] = trips[i].endTime;
+  for (let i = size - 1; i >= 1; i--) maxEnd[i] = Math.max(maxEnd[2 * i], maxEnd[2 * i + 1]);
+  return { trips, endOrder, starts, ends, maxEnd, size };
+}
+
+export function countStarted(index, t) {
+  return upperBound(index.starts, t);
+}
+
+export function countCompleted(index, t) {
+  return upperBound(index.ends, t);
+}
+
+// Call fn(trip) for every trip in flight at t (startTime <= t < endTime), in start order
+export function forEachInFlight(index, t, fn) {
+  const hi = countStarted(index, t); // only trips[0..hi) have started
+  if (!hi) return;
+  const { maxEnd, size, trips } = index;
+  const visit = (node, lo, span) => {
+    if (lo >= hi || maxEnd[node] <= t) return;
+    if (node >= size) { fn(trips[lo]); return; }
+    const half = span >> 1;
+    visit(2 * node, lo, half);
+    visit(2 * node + 1, lo + half, half);
+  };
+  visit(1, 0, size);
+}
@@ -0,0 +1,96 @@
+import { countStarted, countCompleted } from './timeIndex.js';
+
+// Density-aware time compression: playback speed follows the trip density curve, so quiet stretches pass
+// quickly and busy ones slow down. The timeline is cut into bins; a bin's activity is the number of trips
+// overlapping it (started by its end minus completed by its start, two binary searches on the time index).
+// A bin plays at
+//   |userSpeed| * clamp(reference / activity, minFactor, maxSpeed / |userSpeed|)
+// where reference is the activity-weighted median bin activity (the density around a typical trip), so a
+// typical moment keeps the user's speed however long the quiet stretches are.
+// Real time is mapped to simulated time bin by bin, so a fast frame never overshoots into a busy stretch.
+
+export const WARP_DEFAULTS = {
+  maxBins: 2048,
+  minBinSeconds: 60,
+  minFactor: 0.25, // busiest stretches play at a quarter of the user's speed
+  maxSpeed: 10000 // simulated seconds per real second through empty stretches
+};
+
+// index: createTimeIndex() result
+export function createDensityCurve(index, options = {}) {
+  const { maxBins, minBinSeconds, minFactor, maxSpeed } = { ...WARP_DEFAULTS, ...options };
+  const n = index.trips.length;
+  const start = n ? index.starts[0] : 0;
+  const end = n ? index.ends[n - 1] : 0;
+  const span = Math.max(end - start, 1);
+  const binSeconds = Math.max(minBinSeconds, span / maxBins);
+  const bins = Math.max(1, Math.ceil(span / binSeconds));
+  const activity = new Float32Array(bins);
+  for (let b = 0; b < bins; b++) {
+    const t0 = start + b * binSeconds;
+    // Trips ending exactly at the bin start are over; ones starting exactly at its end belong to the next bin
+    activity[b] = countStarted(index, t0 + binSeconds - 1e-6) - countCompleted(index, t0);
+  }
+  const sorted = Array.from(activity).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, a) => sum + a, 0);
+  let reference = 1;
+  for (let i = 0, acc = 0; i < sorted.length; i++) {
+    acc += sorted[i];
+    if (acc >= total / 2) { reference = Math.max(1, sorted[i]); break; }
+  }
+  return { start, end, binSeconds, bins, activity, reference, minFactor, maxSpeed };
+}
+
+// How much faster than the user's speed a bin plays (< 1 = slowed down)
+export function binFactor(curve, bin, userSpeed) {
+  const a = curve.activity[bin];
+  const maxFactor = Math.max(1, curve.maxSpeed / Math.abs(userSpeed));
+  return a > 0 ? Math.min(maxFactor, Math.max(curve.minFactor, curve.reference / a)) : maxFactor;
+}
+
+// Bin the playhead is in when moving in direction dir (a bin edge belongs to the bin being entered); -1 / bins outside
+function binAt(curve, t, dir) {
+  const x = (t - curve.start) / curve.binSeconds;
+  const b = dir < 0 ? Math.ceil(x) - 1 : Math.floor(x);
+  return b < 0 || b >= curve.bins ? -1 : b;
+}
+
+// Effective |speed| at time t
+export function warpSpeedAt(curve, t, userSpeed) {
+  const b = binAt(curve, t, Math.sign(userSpeed));
+  return b < 0 ? Math.abs(userSpeed) : Math.abs(userSpeed) * binFactor(curve, b, userSpeed);
+}
+
+// Simulated time after realDt seconds of playback from t (direction from the sign of userSpeed)
+export function warpAdvance(curve, t, realDt, userSpeed) {
+  const dir = userSpeed < 0 ? -1 : 1;
+  let remaining = realDt;
+  // Bounded so a long stall (hidden tab) can't walk the whole curve in one frame
+  for (let guard = 0; remaining > 0 && guard < 256; guard++) {
+    const b = binAt(curve, t, dir);
+    if (b < 0) return t + dir * remaining * Math.abs(userSpeed);
+    const speed = Math.abs(userSpeed) * binFactor(curve, b, userSpeed);
+    const edge = curve.start + (dir > 0 ? b + 1 : b) * curve.binSeconds;
+    const need = Math.abs(edge - t) / speed;
+    if (need >= remaining) return t + dir * remaining * speed;
+    t = edge;
+    remaining -= need;
+  }
+  return t;
+}
+
+// Runs of adjacent bins playing at least `threshold` times faster than the user's speed: [{ start, end, factor }]
+// (factor = the run's peak)
+export function compressedStretches(curve, userSpeed, threshold = 2) {
+  const out = [];
+  let run = null;
+  for (let b = 0; b < curve.bins; b++) {
+    const f = binFactor(curve, b, userSpeed);
+    if (f < threshold) { run = null; continue; }
+    const t0 = curve.start + b * curve.binSeconds;
+    if (!run) out.push(run = { start: t0, end: t0, factor: f });
+    run.end = Math.min(curve.end, t0 + curve.binSeconds);
+    run.factor = Math.max(run.factor, f);
+  }
+  return out;
+}
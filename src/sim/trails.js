@@ -0,0 +1,397 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// Every trip trail lives in one shared LineSegments buffer. A trail owns a contiguous vertex range (first-fit
+// allocator) holding its routed path plus, per vertex, the simulation time at which the orb gets there (the
+// vertex's arc length run through the trip's speed profile) and the trip's end time. The shader reveals a
+// vertex once uTime passes its arrival and fades the trail out over `lifetime` simulated seconds after the
+// trip ends, so a trail is written once when its trip starts and its range is freed when it has faded.
+// Start markers are instanced the same way, one slot per trail.
+
+export const TRAIL_DEFAULTS = {
+  opacity: 0.38,
+  lifetime: 45, // simulated seconds a finished trail takes to fade out
+  comet: 0, // > 0: only the last `comet` simulated seconds of the trail are drawn, tapering to the tail
+  markerStyle: 'circle' // 'circle' | 'pin' | null
+};
+
+const TRAIL_Y = 0.03;
+const HIDDEN = Math.fround(1e20); // arrival time of free vertices: never revealed (float32 so it compares equal once stored)
+const MAX_PIECE = 0.04; // longest piece of a segment as a fraction of trip time (keeps eased ramps close to the orb)
+const MAX_PIECES = 8;
+const LINE_ATTRIBUTES = ['position', 'color', 'arrival', 'tripEnd'];
+const tmpColor = new THREE.Color();
+
+// Adds arrival / tripEnd attributes and the reveal + fade to a built-in material
+function injectTrailFade(material, uniforms, { comet = false } = {}) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute float arrival;\nattribute float tripEnd;\nvarying float vArrival;\nvarying float vTripEnd;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvArrival = arrival;\nvTripEnd = tripEnd;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nuniform float uTime;\nuniform float uLifetime;\nuniform float uComet;\nvarying float vArrival;\nvarying float vTripEnd;')
+      .replace('#include <color_fragment>', `#include <color_fragment>
+        if (vArrival > uTime) discard;
+        float fadeT = clamp((uTime - vTripEnd) / max(uLifetime, 0.001), 0.0, 1.0);
+        diffuseColor.a *= (1.0 - fadeT) * (1.0 - fadeT) * (1.0 - fadeT);` + (comet ? `
+        if (uComet > 0.0) {
+          float tail = 1.0 - (uTime - vArrival) / uComet;
+          if (tail <= 0.0) discard;
+          diffuseColor.a *= tail;
+        }` : ''));
+  };
+  // Both materials share this closure's source, so key the compiled program on the variant too
+  material.customProgramCacheKey = () => (comet ? 'trail-comet' : 'trail');
+  return material;
+}
+
+function createLineMesh(capacity, material) {
+  const geom = new THREE.BufferGeometry();
+  const attr = (itemSize) => new THREE.BufferAttribute(new Float32Array(capacity * itemSize), itemSize).setUsage(THREE.DynamicDrawUsage);
+  geom.setAttribute('position', attr(3));
+  geom.setAttribute('color', attr(3));
+  geom.setAttribute('arrival', attr(1));
+  geom.setAttribute('tripEnd', attr(1));
+  geom.getAttribute('arrival').array.fill(HIDDEN);
+  geom.setDrawRange(0, 0);
+  const mesh = new THREE.LineSegments(geom, material);
+  mesh.frustumCulled = false; // trails come and go; the bounding sphere would go stale
+  mesh.name = 'TrailLines';
+  return mesh;
+}
+
+function markerGeometry(style) {
+  if (style === 'circle') return new THREE.CircleGeometry(0.1, 24).rotateX(-Math.PI / 2).translate(0, 0.015, 0);
+  if (style === 'pin') {
+    const cone = new THREE.ConeGeometry(0.25, 0.7, 16).rotateX(Math.PI).translate(0, 0.35, 0); // point down
+    const head = new THREE.SphereGeometry(0.22, 16, 12).translate(0, 0.7, 0);
+    const merged = mergeGeometries([cone, head]);
+    cone.dispose(); head.dispose();
+    return merged.scale(0.85, 0.85, 0.85).translate(0, 0.02, 0);
+  }
+  return null;
+}
+
+function createMarkerMesh(capacity, geometry, material) {
+  const geom = geometry.clone(); // per-mesh so the instance attributes can be swapped on growth
+  geom.setAttribute('arrival', new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(HIDDEN), 1).setUsage(THREE.DynamicDrawUsage));
+  geom.setAttribute('tripEnd', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1).setUsage(THREE.DynamicDrawUsage));
+  const mesh = new THREE.InstancedMesh(geom, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  mesh.name = 'TrailMarkers';
+  return mesh;
+}
+
+// Trail batch; add trails.group to the scene
+export function createTrails({ capacity = 1 << 16, markers = 256, ...options } = {}) {
+  const opts = { ...TRAIL_DEFAULTS, ...options };
+  const uniforms = {
+    uTime: { value: 0 },
+    uLifetime: { value: opts.lifetime },
+    uComet: { value: opts.comet }
+  };
+  const lineMaterial = injectTrailFade(new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: opts.opacity, depthWrite: false }), uniforms, { comet: true });
+  const trails = {
+    group: new THREE.Group(),
+    uniforms,
+    lifetime: opts.lifetime,
+    comet: opts.comet,
+    lineMaterial,
+    lines: createLineMesh(capacity, lineMaterial),
+    freeRanges: [], // [{ start, count }] sorted by start, never adjacent
+    highWater: 0, // end of the highest allocated vertex range (the draw range)
+    dirtyMin: Infinity, // vertex span written since the last upload
+    dirtyMax: 0,
+    markerGeometry: markerGeometry(opts.markerStyle),
+    markerMaterial: null,
+    markers: null,
+    markerSlots: 0,
+    freeSlots: [],
+    markerHighWater: 0,
+    markerDirtyMin: Infinity,
+    markerDirtyMax: 0,
+    timeBase: null, // simulation time stored as 0 in the attributes (keeps float32 precision over long timelines)
+    live: [] // trail records, see addTrail
+  };
+  trails.group.name = 'Trails';
+  trails.group.add(trails.lines);
+  if (trails.markerGeometry) {
+    const mat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: opts.markerStyle === 'pin' ? 0.75 : 0.35, depthWrite: false });
+    trails.markerMaterial = injectTrailFade(mat, uniforms);
+    trails.markers = createMarkerMesh(markers, trails.markerGeometry, trails.markerMaterial);
+    trails.markerSlots = markers;
+    for (let i = markers - 1; i >= 0; i--) trails.freeSlots.push(i);
+    trails.group.add(trails.markers);
+  }
+  return trails;
+}
+
+export function setTrailOptions(trails, { lifetime, comet } = {}) {
+  if (lifetime != null && lifetime >= 0) trails.lifetime = trails.uniforms.uLifetime.value = lifetime;
+  if (comet != null && comet >= 0) trails.comet = trails.uniforms.uComet.value = comet;
+}
+
+// Reallocate the line buffers with room for at least `needed` vertices
+function growLines(trails, needed) {
+  const old = trails.lines;
+  const mesh = createLineMesh(Math.max(needed, old.geometry.getAttribute('position').count * 2), trails.lineMaterial);
+  for (const name of LINE_ATTRIBUTES) {
+    mesh.geometry.getAttribute(name).array.set(old.geometry.getAttribute(name).array);
+  }
+  mesh.geometry.setDrawRange(0, trails.highWater);
+  trails.group.remove(old);
+  old.geometry.dispose();
+  trails.group.add(mesh);
+  trails.lines = mesh;
+}
+
+function growMarkers(trails) {
+  const old = trails.markers;
+  const size = trails.markerSlots * 2;
+  const mesh = createMarkerMesh(size, trails.markerGeometry, trails.markerMaterial);
+  mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+  mesh.instanceColor.array.set(old.instanceColor.array);
+  for (const name of ['arrival', 'tripEnd']) mesh.geometry.getAttribute(name).array.set(old.geometry.getAttribute(name).array);
+  mesh.count = old.count;
+  trails.group.remove(old);
+  old.geometry.dispose();
+  old.dispose();
+  trails.group.add(mesh);
+  trails.markers = mesh;
+  for (let i = size - 1; i >= trails.markerSlots; i--) trails.freeSlots.push(i);
+  trails.markerSlots = size;
+}
+
+// First-fit vertex range; grows the buffer when nothing fits
+function allocRange(trails, count) {
+  const free = trails.freeRanges;
+  for (let i = 0; i < free.length; i++) {
+    const r = free[i];
+    if (r.count < count) continue;
+    const start = r.start;
+    r.start += count; r.count -= count;
+    if (!r.count) free.splice(i, 1);
+    return start;
+  }
+  const start = trails.highWater;
+  if (start + count > trails.lines.geometry.getAttribute('position').count) growLines(trails, start + count);
+  trails.highWater = start + count;
+  return start;
+}
+
+// Return a range to the allocator, merging it with free neighbours (a range ending at highWater shrinks it)
+function freeRange(trails, start, count) {
+  const free = trails.freeRanges;
+  let i = 0;
+  while (i < free.length && free[i].start < start) i++;
+  const prev = free[i - 1], next = free[i];
+  if (prev && prev.start + prev.count === start) {
+    prev.count += count;
+    if (next && start + count === next.start) { prev.count += next.count; free.splice(i, 1); }
+  } else if (next && start + count === next.start) {
+    next.start = start; next.count += count;
+  } else {
+    free.splice(i, 0, { start, count });
+  }
+  const last = free[free.length - 1];
+  if (last && last.start + last.count === trails.highWater) {
+    trails.highWater = last.start;
+    free.pop();
+  }
+}
+
+function markDirty(trails, start, count) {
+  if (start < trails.dirtyMin) trails.dirtyMin = start;
+  if (start + count > trails.dirtyMax) trails.dirtyMax = start + count;
+}
+
+function markSlotDirty(trails, slot) {
+  if (slot < trails.markerDirtyMin) trails.markerDirtyMin = slot;
+  if (slot + 1 > trails.markerDirtyMax) trails.markerDirtyMax = slot + 1;
+}
+
+// Upload only the span written since the last frame
+function uploadRange(attr, min, max) {
+  attr.clearUpdateRanges();
+  attr.addUpdateRange(min * attr.itemSize, (max - min) * attr.itemSize);
+  attr.needsUpdate = true;
+}
+
+// Pieces per path segment: segments spanning much of the trip (e.g. a straight-line fallback) are split so the
+// linear interpolation between vertices follows the eased pickup / dropoff
+function piecesFor(profile, d0, d1) {
+  if (!profile || !profile.timeAt) return 1;
+  const span = profile.timeAt(d1) - profile.timeAt(d0);
+  return Math.min(MAX_PIECES, Math.max(1, Math.ceil(span / MAX_PIECE)));
+}
+
+// Write a trail for a trip whose path has been prepared (trip._path / _segLengths / _profile, see
+// Simulation.prepareTripPath). markerScale sizes the start marker. Returns the trail record
+// { trip, start, count, slot, pickup, end }.
+export function addTrail(trails, trip, color, markerScale = 1) {
+  const path = trip._path, segLengths = trip._segLengths, profile = trip._profile;
+  if (!path || path.length < 2) return null;
+  if (trails.timeBase === null) trails.timeBase = Math.floor(trip.startTime);
+  const duration = trip.endTime - trip.startTime;
+  const t0 = trip.startTime - trails.timeBase;
+  const end = trip.endTime - trails.timeBase;
+  const timeAt = profile && profile.timeAt ? profile.timeAt : (d) => (trip._totalLength ? d / trip._totalLength : 1);
+
+  let count = 0;
+  let d = 0;
+  for (let i = 0; i < segLengths.length; i++) { count += 2 * piecesFor(profile, d, d + segLengths[i]); d += segLengths[i]; }
+  const start = allocRange(trails, count);
+  const geom = trails.lines.geometry;
+  const pos = geom.getAttribute('position').array;
+  const col = geom.getAttribute('color').array;
+  const arr = geom.getAttribute('arrival').array;
+  const endArr = geom.getAttribute('tripEnd').array;
+  const c = tmpColor.set(color);
+  let v = start;
+  const put = (a, b, f, dist) => {
+    pos[v*3] = a.x + (b.x - a.x) * f; pos[v*3+1] = TRAIL_Y; pos[v*3+2] = a.z + (b.z - a.z) * f;
+    col[v*3] = c.r; col[v*3+1] = c.g; col[v*3+2] = c.b;
+    arr[v] = t0 + timeAt(dist) * duration;
+    endArr[v] = end;
+    v++;
+  };
+  d = 0;
+  for (let i = 0; i < segLengths.length; i++) {
+    const len = segLengths[i];
+    const pieces = piecesFor(profile, d, d + len);
+    for (let k = 0; k < pieces; k++) {
+      put(path[i], path[i+1], k / pieces, d + len * k / pieces);
+      put(path[i], path[i+1], (k + 1) / pieces, d + len * (k + 1) / pieces);
+    }
+    d += len;
+  }
+  markDirty(trails, start, count);
+
+  let slot = -1;
+  if (trails.markers) {
+    if (!trails.freeSlots.length) growMarkers(trails);
+    slot = trails.freeSlots.pop();
+    const m = trails.markers;
+    // Uniform scale + translation (free slots are all-zero matrices)
+    const e = m.instanceMatrix.array, k = slot * 16;
+    e[k] = markerScale; e[k+5] = markerScale; e[k+10] = markerScale; e[k+15] = 1;
+    e[k+12] = path[0].x; e[k+13] = 0; e[k+14] = path[0].z;
+    m.instanceColor.array[slot*3] = c.r; m.instanceColor.array[slot*3+1] = c.g; m.instanceColor.array[slot*3+2] = c.b;
+    m.geometry.getAttribute('arrival').array[slot] = t0;
+    m.geometry.getAttribute('tripEnd').array[slot] = end;
+    if (slot >= trails.markerHighWater) trails.markerHighWater = slot + 1;
+    markSlotDirty(trails, slot);
+  }
+
+  const record = { trip, start, count, slot, pickup: trip.startTime, end: trip.endTime };
+  trails.live.push(record);
+  return record;
+}
+
+// Recolor a live trail and its start marker in place (visual encoding changed)
+export function restyleTrail(trails, record, color, markerScale = 1) {
+  const c = tmpColor.set(color);
+  const col = trails.lines.geometry.getAttribute('color').array;
+  for (let v = record.start; v < record.start + record.count; v++) {
+    col[v*3] = c.r; col[v*3+1] = c.g; col[v*3+2] = c.b;
+  }
+  markDirty(trails, record.start, record.count);
+  if (record.slot >= 0) {
+    const m = trails.markers, slot = record.slot;
+    const e = m.instanceMatrix.array, k = slot * 16;
+    e[k] = markerScale; e[k+5] = markerScale; e[k+10] = markerScale;
+    m.instanceColor.array[slot*3] = c.r; m.instanceColor.array[slot*3+1] = c.g; m.instanceColor.array[slot*3+2] = c.b;
+    markSlotDirty(trails, slot);
+  }
+}
+
+function releaseTrail(trails, record) {
+  const arr = trails.lines.geometry.getAttribute('arrival').array;
+  arr.fill(HIDDEN, record.start, record.start + record.count);
+  markDirty(trails, record.start, record.count);
+  freeRange(trails, record.start, record.count);
+  if (record.slot >= 0) {
+    const m = trails.markers;
+    m.instanceMatrix.array.fill(0, record.slot * 16, record.slot * 16 + 16);
+    m.geometry.getAttribute('arrival').array[record.slot] = HIDDEN;
+    trails.freeSlots.push(record.slot);
+    markSlotDirty(trails, record.slot);
+  }
+  if (record.trip._trail === record) record.trip._trail = null;
+}
+
+// Free one live trail right away (its trip is redrawn along a new path)
+export function removeTrail(trails, record) {
+  const i = trails.live.indexOf(record);
+  if (i < 0) return;
+  releaseTrail(trails, record);
+  const last = trails.live.pop();
+  if (i < trails.live.length) trails.live[i] = last;
+}
+
+// Free live trails whose trip matches test(trip) right away instead of letting them fade
+export function dropTrails(trails, test) {
+  const live = trails.live;
+  for (let i = live.length - 1; i >= 0; i--) {
+    if (!test(live[i].trip)) continue;
+    releaseTrail(trails, live[i]);
+    const last = live.pop();
+    if (i < live.length) live[i] = last;
+  }
+}
+
+// Once per frame: advance the shader clock, free trails that have fully faded (or fully retracted when
+// playing in reverse) and upload what changed
+export function updateTrails(trails, simTime) {
+  if (trails.timeBase === null) return;
+  const now = simTime - trails.timeBase;
+  trails.uniforms.uTime.value = now;
+  // A trail is gone once it has faded (or its comet tail has run past the dropoff)
+  const linger = trails.comet > 0 ? Math.min(trails.lifetime, trails.comet) : trails.lifetime;
+  const live = trails.live;
+  for (let i = live.length - 1; i >= 0; i--) {
+    if (simTime < live[i].end + linger && simTime >= live[i].pickup) continue;
+    releaseTrail(trails, live[i]);
+    const last = live.pop();
+    if (i < live.length) live[i] = last;
+  }
+  const geom = trails.lines.geometry;
+  geom.setDrawRange(0, trails.highWater);
+  if (trails.dirtyMax > trails.dirtyMin) {
+    for (const name of LINE_ATTRIBUTES) uploadRange(geom.getAttribute(name), trails.dirtyMin, trails.dirtyMax);
+    trails.dirtyMin = Infinity;
+    trails.dirtyMax = 0;
+  }
+  const m = trails.markers;
+  if (m) {
+    const arrival = m.geometry.getAttribute('arrival');
+    // Shrink the instanced draw count past trailing free slots
+    while (trails.markerHighWater > 0 && arrival.array[trails.markerHighWater - 1] === HIDDEN) trails.markerHighWater--;
+    m.count = trails.markerHighWater;
+    if (trails.markerDirtyMax > trails.markerDirtyMin) {
+      for (const attr of [m.instanceMatrix, m.instanceColor, arrival, m.geometry.getAttribute('tripEnd')]) {
+        uploadRange(attr, trails.markerDirtyMin, trails.markerDirtyMax);
+      }
+      trails.markerDirtyMin = Infinity;
+      trails.markerDirtyMax = 0;
+    }
+  }
+}
+
+export function disposeTrails(trails) {
+  for (const record of trails.live) if (record.trip._trail === record) record.trip._trail = null;
+  trails.live.length = 0;
+  if (trails.group.parent) trails.group.parent.remove(trails.group);
+  trails.lines.geometry.dispose();
+  trails.lineMaterial.dispose();
+  if (trails.markers) {
+    trails.markers.geometry.dispose();
+    trails.markers.dispose();
+    trails.markerGeometry.dispose();
+    trails.markerMaterial.dispose();
+  }
+}
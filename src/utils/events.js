@@ -0,0 +1,34 @@
+// Minimal typed event emitter. Listeners get a single event object; on() returns the matching off().
+export function createEmitter() {
+  const listeners = new Map(); // type -> array of listener functions
+
+  function off(type, fn) {
+    const list = listeners.get(type);
+    if (!list) return;
+    const i = list.indexOf(fn);
+    if (i >= 0) list.splice(i, 1);
+    if (!list.length) listeners.delete(type);
+  }
+
+  return {
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(fn);
+      return () => off(type, fn);
+    },
+    off,
+    // Cheap check so hot paths can skip building events nobody listens to
+    has(type) {
+      return listeners.has(type);
+    },
+    emit(type, event) {
+      const list = listeners.get(type);
+      if (!list) return;
+      // Copy so a listener may unsubscribe while being called
+      for (const fn of list.slice()) fn(event);
+    },
+    clear() {
+      listeners.clear();
+    }
+  };
+}
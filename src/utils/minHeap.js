@@ -0,0 +1,55 @@
+// Binary min-heap of integer items keyed by a numeric priority. Items may be pushed more than once
+// (decrease-key by re-insertion); callers skip stale pops. Backed by growable typed arrays.
+export function createMinHeap(capacity = 1024) {
+  let items = new Int32Array(capacity);
+  let keys = new Float64Array(capacity);
+  let size = 0;
+
+  function grow() {
+    const nextItems = new Int32Array(items.length * 2);
+    const nextKeys = new Float64Array(keys.length * 2);
+    nextItems.set(items);
+    nextKeys.set(keys);
+    items = nextItems;
+    keys = nextKeys;
+  }
+
+  return {
+    get size() { return size; },
+    // Priority of the top item (Infinity when empty)
+    peekKey() { return size ? keys[0] : Infinity; },
+    push(item, key) {
+      if (size === items.length) grow();
+      let i = size++;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (keys[parent] <= key) break;
+        items[i] = items[parent];
+        keys[i] = keys[parent];
+        i = parent;
+      }
+      items[i] = item;
+      keys[i] = key;
+    },
+    // Removes and returns the item with the smallest priority (-1 when empty)
+    pop() {
+      if (!size) return -1;
+      const top = items[0];
+      const item = items[--size], key = keys[size];
+      let i = 0;
+      for (;;) {
+        let child = 2 * i + 1;
+        if (child >= size) break;
+        if (child + 1 < size && keys[child + 1] < keys[child]) child++;
+        if (keys[child] >= key) break;
+        items[i] = items[child];
+        keys[i] = keys[child];
+        i = child;
+      }
+      items[i] = item;
+      keys[i] = key;
+      return top;
+    },
+    clear() { size = 0; }
+  };
+}
@@ -0,0 +1,102 @@
+// Wall-clock helpers pinned to America/New_York, independent of the viewer's timezone.
+// TLC timestamps are naive New York local times; everything here converts between those wall
+// clocks and epoch milliseconds, handling the 23-hour (March) and 25-hour (November) DST days.
+
+const TZ = 'America/New_York';
+const HOUR_MS = 3600000;
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TZ, hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// UTC offset (ms, negative for New York) in effect at an instant. DST switches happen on whole
+// UTC hours, so caching per UTC hour is exact and keeps bulk parsing cheap.
+const offsetCache = new Map();
+export function nyOffsetMs(ms) {
+  const hourKey = Math.floor(ms / HOUR_MS);
+  let off = offsetCache.get(hourKey);
+  if (off === undefined) {
+    const probe = hourKey * HOUR_MS;
+    const p = {};
+    for (const { type, value } of partsFormatter.formatToParts(new Date(probe))) p[type] = value;
+    const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    off = wall - probe;
+    offsetCache.set(hourKey, off);
+  }
+  return off;
+}
+
+// Epoch ms for a New York wall-clock time. Times inside the spring-forward gap resolve forward;
+// ambiguous fall-back times resolve to the first (EDT) occurrence.
+export function nyWallToEpoch(year, month, day, hour = 0, minute = 0, second = 0, millis = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+  // Candidates from the offsets on either side of a transition; keep those that show this wall time
+  const a = guess - nyOffsetMs(guess);
+  const b = guess - nyOffsetMs(a);
+  const aValid = a + nyOffsetMs(a) === guess, bValid = b + nyOffsetMs(b) === guess;
+  if (aValid && bValid) return Math.min(a, b);
+  if (aValid || bValid) return aValid ? a : b;
+  // Spring-forward gap: no instant shows it, so move forward by the skipped hour
+  return Math.max(a, b);
+}
+
+const ISO_LOCAL = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const US_LOCAL = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([AP]M))?)?$/i;
+
+// Parse a trip timestamp as New York local time. Accepts "YYYY-MM-DD HH:MM:SS[.fff]",
+// "MM/DD/YYYY hh:mm:ss [AM|PM]", and strings with an explicit Z/offset (taken as-is).
+// Returns epoch ms or NaN.
+export function parseNYLocal(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'string') return NaN;
+  const s = value.trim();
+  let m = ISO_LOCAL.exec(s);
+  if (m) {
+    const millis = m[7] ? Number(m[7].padEnd(3, '0')) : 0;
+    return nyWallToEpoch(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), millis);
+  }
+  m = US_LOCAL.exec(s);
+  if (m) {
+    let hour = +(m[4] || 0);
+    if (m[7]) hour = (hour % 12) + (m[7].toUpperCase() === 'PM' ? 12 : 0);
+    return nyWallToEpoch(+m[3], +m[1], +m[2], hour, +(m[5] || 0), +(m[6] || 0));
+  }
+  if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(s)) return Date.parse(s);
+  return NaN;
+}
+
+// Wall-clock fields of an instant in New York
+export function nyParts(ms) {
+  const d = new Date(ms + nyOffsetMs(ms));
+  return {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds()
+  };
+}
+
+// Epoch ms of New York midnight starting the day that contains `ms`
+export function nyMidnight(ms) {
+  const p = nyParts(ms);
+  return nyWallToEpoch(p.year, p.month, p.day);
+}
+
+// Epoch ms of the following New York midnight (23, 24 or 25 hours after nyMidnight)
+export function nyNextMidnight(ms) {
+  const p = nyParts(ms);
+  return nyWallToEpoch(p.year, p.month, p.day + 1);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYY-MM-DD in New York
+export function formatNYDate(ms) {
+  const p = nyParts(ms);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// HH:MM:SS in New York
+export function formatNYTime(ms) {
+  const p = nyParts(ms);
+  return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
@@ -0,0 +1,59 @@
+// Planar polygon helpers shared by the zone loader and map selection tools.
+// Rings are arrays of [x, y] pairs (lon/lat or world x/z); closure of the ring is optional.
+
+// Even-odd ray cast point-in-ring test
+export function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Polygon = [outerRing, ...holeRings] (GeoJSON Polygon coordinates layout)
+export function pointInPolygon(x, y, polygon) {
+  if (!polygon.length || !pointInRing(x, y, polygon[0])) return false;
+  for (let h = 1; h < polygon.length; h++) if (pointInRing(x, y, polygon[h])) return false;
+  return true;
+}
+
+// Absolute shoelace area of a ring
+export function ringArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+  }
+  return Math.abs(a / 2);
+}
+
+// Axis-aligned bounds of a ring
+export function ringBounds(ring) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const [x, y] of ring) {
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+  }
+  return { minX, maxX, minY, maxY };
+}
+
+// Area centroid of a ring as [x, y] (the vertex average for a degenerate, zero-area ring). Computed relative
+// to the first vertex so lon/lat-sized coordinates don't cancel out in the cross products.
+export function ringCentroid(ring) {
+  const [ox, oy] = ring[0];
+  let a = 0, cx = 0, cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xj = ring[j][0] - ox, yj = ring[j][1] - oy, xi = ring[i][0] - ox, yi = ring[i][1] - oy;
+    const cross = xj * yi - xi * yj;
+    a += cross;
+    cx += (xj + xi) * cross;
+    cy += (yj + yi) * cross;
+  }
+  if (!a) {
+    let sx = 0, sy = 0;
+    for (const [x, y] of ring) { sx += x; sy += y; }
+    return [sx / ring.length, sy / ring.length];
+  }
+  return [ox + cx / (3 * a), oy + cy / (3 * a)];
+}
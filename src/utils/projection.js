@@ -1,7 +1,7 @@
 // Simple equirectangular / mercator-ish projection tuned for NYC bounds
 // Converts lon/lat to X/Z plane coordinates scaled to a chosen size.
 
-const NYC_BOUNDS = {
+export const NYC_BOUNDS = {
   minLon: -74.30,
   maxLon: -73.65,
   minLat: 40.45,
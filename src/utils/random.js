@@ -0,0 +1,12 @@
+// Small seeded PRNG (mulberry32) so randomized placement / sampling is reproducible across reloads.
+// Returns a function yielding floats in [0,1).
+export function seededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,61 @@
+// View state <-> URL hash, so an interesting moment can be shared as a link. The dataset itself stays
+// in the query string (?data=…, read by main.js) because changing it means reloading trips.
+// The playhead is stored as an absolute UTC time, since simulation seconds count from the loaded data's first
+// New York midnight and so depend on how it was loaded (file set, ?from=, sampling).
+//   #t=2016-07-01T14:31:50Z&speed=-30&play=0&mode=density&color=tipPercent&size=fare&cam=1.8,25.5,-10.3&tgt=-1.3,0.2,-12.1&cov=0.6&roads=motorway,trunk
+
+const round = (n, digits) => +Number(n).toFixed(digits);
+
+const parseVec3 = (s) => {
+  const v = String(s).split(',').map(Number);
+  return v.length === 3 && v.every(Number.isFinite) ? v : null;
+};
+
+// Only keys present (and valid) in the hash are returned
+export function parseViewState(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = {};
+  const num = (key) => {
+    if (!params.has(key)) return null;
+    const n = Number(params.get(key));
+    return Number.isFinite(n) ? n : null;
+  };
+  // timeMs: epoch ms; time: simulation seconds, as older links carried it
+  const t = params.get('t');
+  if (t && /^-?\d+(\.\d+)?$/.test(t)) state.time = Number(t);
+  else if (t && Number.isFinite(Date.parse(t))) state.timeMs = Date.parse(t);
+  const speed = num('speed');
+  if (speed !== null && speed !== 0) state.speed = speed; // negative = reverse playback
+  if (params.has('play')) state.playing = params.get('play') !== '0';
+  const mode = params.get('mode');
+  if (mode === 'gap' || mode === 'density') state.timeMode = mode;
+  // Encoding keys are checked against encodings.js by the caller
+  for (const key of ['color', 'size']) {
+    if (/^\w+$/.test(params.get(key) || '')) state[key] = params.get(key);
+  }
+  const cam = params.has('cam') && parseVec3(params.get('cam'));
+  if (cam) state.camera = cam;
+  const tgt = params.has('tgt') && parseVec3(params.get('tgt'));
+  if (tgt) state.target = tgt;
+  const cov = num('cov');
+  if (cov !== null && cov > 0 && cov <= 1) state.coverage = cov;
+  if (params.has('roads')) state.roads = params.get('roads').split(',').filter(Boolean);
+  return state;
+}
+
+// Inverse of parseViewState; null / undefined fields are left out
+export function formatViewState(state) {
+  const parts = [];
+  if (state.timeMs != null) parts.push(`t=${new Date(Math.floor(state.timeMs / 1000) * 1000).toISOString().replace('.000Z', 'Z')}`);
+  else if (state.time != null) parts.push(`t=${Math.floor(state.time)}`);
+  if (state.speed != null) parts.push(`speed=${round(state.speed, 2)}`);
+  if (state.playing != null) parts.push(`play=${state.playing ? 1 : 0}`);
+  if (state.timeMode) parts.push(`mode=${state.timeMode}`);
+  if (state.color) parts.push(`color=${state.color}`);
+  if (state.size) parts.push(`size=${state.size}`);
+  if (state.camera) parts.push(`cam=${state.camera.map(n => round(n, 2)).join(',')}`);
+  if (state.target) parts.push(`tgt=${state.target.map(n => round(n, 2)).join(',')}`);
+  if (state.coverage != null) parts.push(`cov=${round(state.coverage, 2)}`);
+  if (state.roads) parts.push(`roads=${state.roads.map(encodeURIComponent).join(',')}`);
+  return parts.length ? '#' + parts.join('&') : '';
+}
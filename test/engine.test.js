@@ -0,0 +1,210 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/sim/engine.js';
+
+// Deterministic checks of the headless engine on a small hand-made timeline. The day starts at New York
+// midnight on 2024-11-03, the 25-hour fall-back day, so the next midnight is 90000 s in.
+const DAY_START = Date.UTC(2024, 10, 3, 4); // 00:00 EDT
+const NEXT_DAY = Date.UTC(2024, 10, 4, 5); // 00:00 EST
+
+function makeTrips() {
+  const trips = [
+    { id: 'a', startTime: 0, endTime: 600, fare: 10, payment: 'card' },
+    { id: 'b', startTime: 100, endTime: 300, fare: 20, payment: 'cash' },
+    { id: 'c', startTime: 500, endTime: 2000, fare: 30, payment: 'card' },
+    { id: 'd', startTime: 1000, endTime: 1200, fare: 40, payment: 'cash' },
+    { id: 'e', startTime: 89000, endTime: 91000, fare: 50, payment: 'card' },
+    { id: 'f', startTime: 92000, endTime: 92500, fare: 60, payment: 'card' }
+  ];
+  for (const trip of trips) trip.pickupTimestamp = DAY_START + trip.startTime * 1000;
+  return trips;
+}
+
+// Engine without gap acceleration, so advance() moves exactly dt * speed
+function makeEngine(trips = makeTrips()) {
+  const engine = new SimulationEngine(trips);
+  engine.gapCheckInterval = Infinity;
+  return engine;
+}
+
+const ids = (trips) => trips.map(t => t.id).sort().join(',');
+
+// Running totals kept from the crossing events, re-seeded on seek, as the HUD does
+function track(engine) {
+  const totals = { started: 0, completed: 0, causes: [] };
+  engine.on('tripstart', (e) => { totals.started += e.direction; totals.causes.push(e.cause); });
+  engine.on('tripend', (e) => { totals.completed += e.direction; });
+  engine.on('seek', () => {
+    totals.started = engine.startedTrips().length;
+    totals.completed = engine.completedTrips().length;
+  });
+  return totals;
+}
+
+test('resetTo derives counters and the in-flight set from the time index', () => {
+  const engine = makeEngine();
+  engine.resetTo(550);
+  assert.equal(engine.startedCount, 3);
+  assert.equal(engine.completedCount, 1);
+  assert.equal(ids(engine.active), 'a,c');
+  engine.resetTo(1100);
+  assert.equal(engine.startedCount, 4);
+  assert.equal(engine.completedCount, 2);
+  assert.equal(ids(engine.active), 'c,d');
+  assert.equal(ids(engine.startedTrips()), 'a,b,c,d');
+  assert.equal(ids(engine.completedTrips()), 'a,b');
+  // Clamped to the first pickup
+  engine.resetTo(-50);
+  assert.equal(engine.simulationTime, 0);
+  assert.equal(engine.startedCount, 1);
+  assert.equal(engine.completedCount, 0);
+});
+
+test('resetTo fires one seek event with the new counts and keeps trips that stay in flight', () => {
+  const engine = makeEngine();
+  const totals = track(engine);
+  const seeks = [];
+  engine.on('seek', (e) => seeks.push([e.previousTime, e.started, e.completed]));
+  const starts = [], ends = [];
+  engine.subscribe({ tripStart: (trip, resumed) => starts.push(trip.id + (resumed ? '*' : '')), tripEnd: (trip) => ends.push(trip.id) });
+  engine.resetTo(1100);
+  assert.equal(totals.started, 4);
+  assert.equal(totals.completed, 2);
+  assert.deepEqual(totals.causes, []); // no per-trip crossings
+  assert.deepEqual(starts.sort(), ['c*', 'd*']);
+  engine.resetTo(550);
+  assert.equal(totals.started, 3);
+  assert.equal(totals.completed, 1);
+  assert.deepEqual(ends, ['d']); // c stayed in flight: no view events for it
+  assert.deepEqual(starts.sort(), ['a*', 'c*', 'd*']);
+  assert.deepEqual(seeks, [[0, 4, 2], [1100, 3, 1]]);
+  assert.equal(engine.direction, -1);
+});
+
+test('reverse playback un-completes and un-starts trips and stops at the first pickup', () => {
+  const engine = makeEngine();
+  const totals = track(engine);
+  engine.resetTo(1100);
+  const resumed = [];
+  engine.subscribe({ tripStart: (trip, isResumed) => { if (isResumed) resumed.push(trip.id); } });
+  const ended = [];
+  engine.on('ended', (e) => ended.push(e.direction));
+  engine.userSpeed = engine.speed = -100;
+
+  engine.advance(3); // 1100 -> 800: d is un-started
+  assert.equal(engine.simulationTime, 800);
+  assert.equal(engine.direction, -1);
+  assert.equal(engine.startedCount, 3);
+  assert.equal(engine.completedCount, 2);
+  assert.equal(ids(engine.active), 'c');
+
+  engine.advance(3); // 800 -> 500: a is back in flight from its dropoff
+  assert.equal(engine.startedCount, 3);
+  assert.equal(engine.completedCount, 1);
+  assert.equal(ids(engine.active), 'a,c');
+  assert.deepEqual(resumed, ['a']);
+
+  engine.advance(100); // clamps at the first pickup
+  assert.equal(engine.simulationTime, 0);
+  assert.equal(engine.playing, false);
+  assert.deepEqual(ended, [-1]);
+  assert.equal(engine.startedCount, 1);
+  assert.equal(engine.completedCount, 0);
+  assert.equal(totals.started, engine.startedCount);
+  assert.equal(totals.completed, engine.completedCount);
+});
+
+test('step moves the playhead exactly, in either direction, without real time passing', () => {
+  const engine = makeEngine();
+  const totals = track(engine);
+  engine.step(350);
+  assert.equal(engine.simulationTime, 350);
+  assert.equal(engine.realTime, 0);
+  assert.equal(engine.startedCount, 2);
+  assert.equal(engine.completedCount, 1);
+  assert.equal(ids(engine.active), 'a');
+  engine.step(-300);
+  assert.equal(engine.simulationTime, 50);
+  assert.equal(engine.startedCount, 1);
+  assert.equal(engine.completedCount, 0);
+  assert.equal(ids(engine.active), 'a');
+  engine.step(0); // no-op
+  assert.equal(engine.simulationTime, 50);
+  assert.equal(totals.started, 1);
+  assert.equal(totals.completed, 0);
+  assert.ok(totals.causes.every(c => c === 'step'));
+});
+
+test('setFilter re-queries the timeline in place and reports the difference as filter crossings', () => {
+  const engine = makeEngine();
+  const totals = track(engine);
+  const filterEvents = [];
+  engine.on('filter', (e) => filterEvents.push([e.count, e.total]));
+  engine.resetTo(1100);
+
+  engine.setFilter(trip => trip.payment === 'card');
+  assert.equal(engine.simulationTime, 1100);
+  assert.equal(engine.trips.length, 4);
+  assert.equal(engine.startedCount, 2); // a, c
+  assert.equal(engine.completedCount, 1); // a
+  assert.equal(ids(engine.active), 'c');
+  assert.equal(totals.started, 2);
+  assert.equal(totals.completed, 1);
+
+  engine.setFilter(trip => trip.fare >= 30);
+  assert.equal(engine.startedCount, 2); // c, d
+  assert.equal(engine.completedCount, 0);
+  assert.equal(ids(engine.active), 'c,d');
+  assert.equal(totals.started, 2);
+  assert.equal(totals.completed, 0);
+
+  engine.setFilter(null);
+  assert.equal(engine.trips, engine.allTrips);
+  assert.equal(engine.startedCount, 4);
+  assert.equal(engine.completedCount, 2);
+  assert.equal(totals.started, 4);
+  assert.equal(totals.completed, 2);
+  assert.deepEqual(filterEvents, [[4, 6], [4, 6], [6, 6]]);
+  assert.ok(totals.causes.every(c => c === 'filter'));
+});
+
+test('daychange fires when the playhead crosses a New York midnight, in both directions', () => {
+  const engine = makeEngine();
+  const days = [];
+  engine.on('daychange', (e) => days.push(e));
+  assert.equal(engine.currentDayStart, DAY_START);
+  assert.equal(engine.nextDayStart, NEXT_DAY);
+
+  engine.step(89999);
+  assert.equal(days.length, 0);
+  engine.step(2); // 90001: past the midnight ending the 25-hour day
+  assert.equal(days.length, 1);
+  assert.equal(days[0].previousDayStart, DAY_START);
+  assert.equal(days[0].dayStart, NEXT_DAY);
+  assert.equal(days[0].nextDayStart, NEXT_DAY + 24 * 3600 * 1000);
+
+  engine.resetTo(500);
+  assert.equal(days.length, 2);
+  assert.equal(days[1].previousDayStart, NEXT_DAY);
+  assert.equal(days[1].dayStart, DAY_START);
+  engine.resetTo(600); // same day: no event
+  assert.equal(days.length, 2);
+});
+
+test('addTrips merges streamed batches in place and counts late arrivals', () => {
+  const trips = makeTrips();
+  const engine = makeEngine(trips.slice(0, 2)); // a, b
+  const totals = track(engine);
+  const list = engine.trips;
+  engine.resetTo(700);
+  engine.addTrips([trips[3], trips[4]]); // d, e: after the playhead
+  engine.addTrips([trips[2]]); // c arrives late, behind the playhead and still in flight
+  assert.equal(engine.trips, list);
+  assert.equal(engine.trips.map(t => t.id).join(','), 'a,b,c,d,e');
+  assert.equal(engine.endOrder.map(t => t.id).join(','), 'b,a,d,c,e');
+  assert.equal(engine.startedCount, 3);
+  assert.equal(engine.completedCount, 2);
+  assert.equal(ids(engine.active), 'c');
+  assert.equal(totals.started, 3);
+  assert.equal(totals.completed, 2);
+});
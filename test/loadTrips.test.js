@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTripRow } from '../src/data/loadTrips.js';
+import { detectSchema } from '../src/data/schemas.js';
+import { createIngestReport } from '../src/data/ingestReport.js';
+
+const FIELDS = ['VendorID', 'tpep_pickup_datetime', 'tpep_dropoff_datetime', 'passenger_count', 'trip_distance', 'pickup_longitude', 'pickup_latitude', 'dropoff_longitude', 'dropoff_latitude', 'payment_type', 'fare_amount', 'tip_amount'];
+const ctx = { schema: detectSchema(FIELDS), mode: 'coords' };
+const row = (fields) => ({
+  VendorID: '2', tpep_pickup_datetime: '2015-01-15 19:05:39', tpep_dropoff_datetime: '2015-01-15 19:23:42',
+  passenger_count: '1', trip_distance: '1.59', pickup_longitude: '-73.9939', pickup_latitude: '40.7501',
+  dropoff_longitude: '-73.9748', dropoff_latitude: '40.7506', payment_type: '1', fare_amount: '12', tip_amount: '3.25',
+  ...fields
+});
+
+test('zero and out-of-area coordinates are rejected under their own reasons', () => {
+  const report = createIngestReport();
+  assert.ok(parseTripRow(row(), ctx, report));
+  assert.equal(parseTripRow(row({ pickup_longitude: '0', pickup_latitude: '0' }), ctx, report), null);
+  assert.equal(parseTripRow(row({ dropoff_latitude: '0' }), ctx, report), null);
+  assert.equal(parseTripRow(row({ dropoff_longitude: '-118.24', dropoff_latitude: '34.05' }), ctx, report), null);
+  assert.equal(parseTripRow(row({ pickup_longitude: '' }), ctx, report), null);
+  assert.equal(report.accepted, 1);
+  assert.equal(report.rejected, 4);
+  assert.deepEqual(report.rejectReasons, { zero_coordinates: 2, outside_bounds: 1, non_finite_coordinates: 1 });
+  assert.deepEqual(report.outliers, {});
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNYLocal, nyWallToEpoch, nyOffsetMs, nyMidnight, nyNextMidnight, formatNYTime } from '../src/utils/nyTime.js';
+
+const HOUR = 3600 * 1000;
+
+test('spring-forward gap: 02:00-02:59 does not exist and resolves forward into EDT', () => {
+  // 2024-03-10: clocks jump from 02:00 EST (07:00Z) to 03:00 EDT
+  assert.equal(parseNYLocal('2024-03-10 01:59:59'), Date.UTC(2024, 2, 10, 6, 59, 59));
+  assert.equal(parseNYLocal('2024-03-10 03:00:00'), Date.UTC(2024, 2, 10, 7));
+  const inGap = parseNYLocal('2024-03-10 02:30:00');
+  assert.equal(inGap, Date.UTC(2024, 2, 10, 7, 30));
+  assert.equal(formatNYTime(inGap), '03:30:00');
+  assert.equal(nyOffsetMs(Date.UTC(2024, 2, 10, 6, 59)), -5 * HOUR);
+  assert.equal(nyOffsetMs(Date.UTC(2024, 2, 10, 7)), -4 * HOUR);
+});
+
+test('fall-back hour: the repeated 01:00-01:59 resolves to the first (EDT) occurrence', () => {
+  // 2024-11-03: clocks go back from 02:00 EDT (06:00Z) to 01:00 EST, so 01:30 happens twice
+  const first = parseNYLocal('2024-11-03 01:30:00');
+  assert.equal(first, Date.UTC(2024, 10, 3, 5, 30));
+  assert.equal(nyWallToEpoch(2024, 11, 3, 1, 30), first);
+  // The second 01:30 (EST) is an hour later and formats the same
+  assert.equal(formatNYTime(first + HOUR), '01:30:00');
+  assert.equal(parseNYLocal('2024-11-03 02:00:00'), Date.UTC(2024, 10, 3, 7));
+  // An explicit offset picks either occurrence
+  assert.equal(parseNYLocal('2024-11-03T01:30:00-05:00'), first + HOUR);
+});
+
+test('DST days are 23 and 25 hours long', () => {
+  const spring = parseNYLocal('2024-03-10 12:00:00');
+  assert.equal(nyMidnight(spring), Date.UTC(2024, 2, 10, 5));
+  assert.equal(nyNextMidnight(spring) - nyMidnight(spring), 23 * HOUR);
+  const fall = parseNYLocal('2024-11-03 23:59:59');
+  assert.equal(nyMidnight(fall), Date.UTC(2024, 10, 3, 4));
+  assert.equal(nyNextMidnight(fall) - nyMidnight(fall), 25 * HOUR);
+  // Elapsed seconds since midnight count real time: 23:59:59 on the long day is 89999 s in
+  assert.equal((fall - nyMidnight(fall)) / 1000, 89999);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoadGraph, findRoute, nearestNode, routeBetween, routeKey } from '../src/sim/routing.js';
+
+// A (0,0) to C (10,10) three ways: via B (20 long), via D (~22.9) and via F (~14.1, the shortest);
+// G - H is a separate road nobody else connects to
+const P = { A: { x: 0, z: 0 }, B: { x: 10, z: 0 }, C: { x: 10, z: 10 }, D: { x: -5, z: 5 }, F: { x: 5, z: 5 }, G: { x: 50, z: 50 }, H: { x: 60, z: 50 } };
+const graph = buildRoadGraph(
+  [[P.A, P.B, P.C], [P.A, P.D, P.C], [P.A, P.F, P.C], [P.G, P.H]],
+  ['primary', 'secondary', 'residential', 'service']
+);
+const node = (name) => {
+  for (let i = 0; i < graph.nodeCount; i++) if (graph.x[i] === P[name].x && graph.z[i] === P[name].z) return i;
+  return -1;
+};
+const names = (nodes) => nodes.map(i => Object.keys(P).find(k => node(k) === i)).join('');
+
+test('findRoute takes the shortest of several paths', () => {
+  assert.equal(graph.nodeCount, 7);
+  const route = findRoute(graph, node('A'), node('C'));
+  assert.equal(names(route.nodes), 'AFC');
+  assert.deepEqual(route.types, ['residential', 'residential']);
+  assert.equal(names(findRoute(graph, node('B'), node('D')).nodes), 'BAD'); // 17.1 back through A, not 25.8 through C
+  assert.deepEqual(findRoute(graph, node('A'), node('A')), { nodes: [node('A')], types: [] });
+});
+
+test('findRoute and routeBetween return null for unconnected roads', () => {
+  assert.equal(findRoute(graph, node('A'), node('G')), null);
+  assert.equal(findRoute(graph, node('H'), node('C')), null);
+  assert.equal(routeBetween(graph, 0, 0, 59, 51), null);
+  assert.equal(findRoute(graph, -1, node('C')), null);
+});
+
+test('nearestNode snaps points to the closest road node', () => {
+  assert.equal(nearestNode(graph, 9, 1), node('B'));
+  assert.equal(nearestNode(graph, 4.2, 5.9), node('F'));
+  assert.equal(nearestNode(graph, 48, 53), node('G'));
+  assert.equal(nearestNode(graph, 1000, 60), node('H')); // far outside the grid
+  assert.equal(nearestNode(buildRoadGraph([]), 0, 0), -1);
+  const route = routeBetween(graph, 0.3, -0.2, 9.6, 10.4);
+  assert.deepEqual([...route.coords], [0, 0, 5, 5, 10, 10]);
+  assert.deepEqual(route.types, ['residential', 'residential']);
+  // Endpoints in the same precision cells share a cache key
+  assert.equal(routeKey(0.1, 0.1, 9.9, 10.1), routeKey(0, 0, 10, 10));
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexTaxiZones, zoneCentroid, randomPointInZone } from '../src/data/taxiZones.js';
+import { pointInPolygon } from '../src/utils/polygon.js';
+import { seededRandom } from '../src/utils/random.js';
+
+// Simplified outlines in the two property layouts the loader accepts: TLC (LocationID) and NYC Open Data
+// (location_id as a string, with zone / borough names)
+const square = (x0, y0, x1, y1) => [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]];
+const GEOJSON = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { LocationID: 132 }, geometry: { type: 'Polygon', coordinates: square(-73.82, 40.62, -73.76, 40.67) } },
+    {
+      type: 'Feature',
+      properties: { location_id: '103', zone: "Governor's Island/Ellis Island/Liberty Island", borough: 'Manhattan' },
+      geometry: { type: 'MultiPolygon', coordinates: [square(-74.03, 40.68, -74.01, 40.70), square(-74.05, 40.69, -74.04, 40.70)] }
+    }
+  ]
+};
+const LOOKUP = [
+  { LocationID: 132, Borough: 'Queens', Zone: 'JFK Airport', service_zone: 'Airports' },
+  { LocationID: 264, Borough: 'Unknown', Zone: 'N/A', service_zone: 'N/A' }
+];
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('a LocationID resolves to its lookup names and its centroid', () => {
+  const zones = indexTaxiZones(GEOJSON, LOOKUP);
+  const jfk = zones.get(132);
+  assert.equal(jfk.zone, 'JFK Airport');
+  assert.equal(jfk.borough, 'Queens');
+  const [lon, lat] = zoneCentroid(jfk);
+  close(lon, -73.79);
+  close(lat, 40.645);
+});
+
+test('multi-part zones without a lookup row take names from the GeoJSON and an area-weighted centroid', () => {
+  const zones = indexTaxiZones(GEOJSON, LOOKUP);
+  const islands = zones.get(103);
+  assert.equal(islands.borough, 'Manhattan');
+  assert.equal(islands.polys.length, 2);
+  // Parts of area 4 and 1 (in 0.01° squares) centred at (-74.02, 40.69) and (-74.045, 40.695)
+  const [lon, lat] = zoneCentroid(islands);
+  close(lon, (4 * -74.02 + -74.045) / 5);
+  close(lat, (4 * 40.69 + 40.695) / 5);
+});
+
+test('zones without geometry have no centroid and no sampled points', () => {
+  const zones = indexTaxiZones(GEOJSON, LOOKUP);
+  assert.equal(zones.get(264).zone, 'N/A');
+  assert.equal(zoneCentroid(zones.get(264)), null);
+  assert.equal(randomPointInZone(zones.get(264), seededRandom(1)), null);
+  assert.equal(zoneCentroid(zones.get(999)), null);
+});
+
+test('sampled points are seeded and fall inside the zone', () => {
+  const jfk = indexTaxiZones(GEOJSON, LOOKUP).get(132);
+  const a = seededRandom(7), b = seededRandom(7);
+  for (let i = 0; i < 20; i++) {
+    const p = randomPointInZone(jfk, a);
+    assert.deepEqual(p, randomPointInZone(jfk, b));
+    assert.ok(pointInPolygon(p[0], p[1], jfk.polys[0].rings));
+  }
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeTrips, decodeTrips, tripCacheEvictions } from '../src/data/tripCache.js';
+
+const pickup = Date.UTC(2024, 0, 15, 14); // 09:00 New York
+const trip = (fields) => ({
+  startTime: 9 * 3600, endTime: 9 * 3600 + 900,
+  startPos: { x: 1, z: 2, lon: -73.98, lat: 40.75 }, endPos: { x: 3, z: 4, lon: -73.95, lat: 40.78 },
+  vendor: 1, fleet: 'yellow', distance: 2.5, tip: 1, payment: 'card',
+  pickupDate: new Date(pickup), pickupTimestamp: pickup,
+  ...fields
+});
+
+test('.nyct keeps missing fares and passenger counts missing', () => {
+  const { trips } = decodeTrips(encodeTrips([
+    trip({ fare: 12.5, passengers: 2 }),
+    trip({ fare: NaN, passengers: NaN, fleet: 'fhv', distance: NaN, tip: NaN, payment: null }),
+    trip({ fare: 0, passengers: 0 })
+  ]));
+  assert.equal(trips[0].fare, 12.5);
+  assert.equal(trips[0].passengers, 2);
+  assert.ok(Number.isNaN(trips[1].fare));
+  assert.ok(Number.isNaN(trips[1].passengers));
+  assert.equal(trips[1].payment, null);
+  // A real $0 / zero-passenger trip stays distinct from a missing one
+  assert.equal(trips[2].fare, 0);
+  assert.equal(trips[2].passengers, 0);
+});
+
+test('cache eviction drops least recently used entries past either cap', () => {
+  const entries = [
+    { key: 'a', bytes: 40, used: 3 },
+    { key: 'b', bytes: 40, used: 1 },
+    { key: 'c', bytes: 40, used: 2 }
+  ];
+  assert.deepEqual(tripCacheEvictions(entries, { maxBytes: 120, maxEntries: 3 }), []);
+  assert.deepEqual(tripCacheEvictions(entries, { maxBytes: 100, maxEntries: 3 }), ['b']);
+  assert.deepEqual(tripCacheEvictions(entries, { maxBytes: 1000, maxEntries: 1 }), ['b', 'c']);
+  // The most recent entry stays even when it alone is over the byte cap
+  assert.deepEqual(tripCacheEvictions([{ key: 'big', bytes: 500, used: 1 }], { maxBytes: 100 }), []);
+});